@@ -0,0 +1,106 @@
+// Coordinated-posting and bot activity detection
+// Works on the raw mention events of one ticker. Events carry an `author`
+// handle and a `textHash` of the normalized text (see textHash below), plus
+// `authorCreatedAt` when the platform exposes account age.
+
+const crypto = require('crypto');
+
+const DUPLICATE_MIN_POSTS = parseInt(process.env.BOT_DUPLICATE_MIN_POSTS) || 3;
+const AUTHOR_MAX_SHARE = parseFloat(process.env.BOT_AUTHOR_MAX_SHARE) || 0.2;
+const AUTHOR_MIN_POSTS = parseInt(process.env.BOT_AUTHOR_MIN_POSTS) || 5;
+const BURST_MIN_POSTS = parseInt(process.env.BOT_BURST_MIN_POSTS) || 10;
+const BURST_MIN_AUTHOR_RATIO = parseFloat(process.env.BOT_BURST_MIN_AUTHOR_RATIO) || 0.3;
+const NEW_ACCOUNT_DAYS = parseInt(process.env.BOT_NEW_ACCOUNT_DAYS) || 30;
+const NEW_ACCOUNT_MAX_SHARE = parseFloat(process.env.BOT_NEW_ACCOUNT_MAX_SHARE) || 0.5;
+
+// Texts shorter than this ("to the moon 🚀") repeat naturally, so they are
+// not fingerprinted
+const MIN_HASH_LENGTH = 20;
+
+// Lowercase, drop links, @handles, numbers and punctuation, so copy-paste
+// variants with a different link or price still collide
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@[\w.-]+/g, ' ')
+    .replace(/[0-9]+/g, ' ')
+    .replace(/[^a-z$]+/g, ' ')
+    .trim();
+}
+
+// Short hash of the normalized text, or null when it's too short to judge
+function textHash(text) {
+  const normalized = normalizeText(text);
+  if (normalized.length < MIN_HASH_LENGTH) return null;
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+}
+
+// Flags events that look coordinated. Returns { analyzed, flagged, ratio,
+// uniqueAuthors, reasons, flaggedIds }. Events without an author (news,
+// or anything recorded before authors were captured) are not analyzed.
+function detectSuspiciousActivity(events, now = Date.now()) {
+  const analyzed = events.filter(e => e.author);
+  const flaggedIds = new Set();
+  const reasons = { duplicateText: 0, dominantAuthors: [], fewAccountsBurst: false, newAccountBurst: false };
+
+  const byHash = new Map();
+  const byAuthor = new Map();
+  for (const e of analyzed) {
+    if (e.textHash) {
+      if (!byHash.has(e.textHash)) byHash.set(e.textHash, []);
+      byHash.get(e.textHash).push(e);
+    }
+    if (!byAuthor.has(e.author)) byAuthor.set(e.author, []);
+    byAuthor.get(e.author).push(e);
+  }
+
+  // The same text posted again and again
+  for (const group of byHash.values()) {
+    if (group.length < DUPLICATE_MIN_POSTS) continue;
+    for (const e of group) flaggedIds.add(e.id);
+    reasons.duplicateText += group.length;
+  }
+
+  // One account carrying a large share of the volume; its first post counts
+  for (const [author, posts] of byAuthor.entries()) {
+    const share = posts.length / analyzed.length;
+    if (posts.length < AUTHOR_MIN_POSTS || share < AUTHOR_MAX_SHARE) continue;
+    const ordered = [...posts].sort((a, b) => a.timestamp - b.timestamp);
+    for (const e of ordered.slice(1)) flaggedIds.add(e.id);
+    reasons.dominantAuthors.push({ author, posts: posts.length, share: Math.round(share * 100) / 100 });
+  }
+
+  if (analyzed.length >= BURST_MIN_POSTS) {
+    // Lots of posts from very few accounts
+    if (byAuthor.size / analyzed.length < BURST_MIN_AUTHOR_RATIO) {
+      reasons.fewAccountsBurst = true;
+      for (const posts of byAuthor.values()) {
+        for (const e of posts.slice(1)) flaggedIds.add(e.id);
+      }
+    }
+
+    // Lots of posts from freshly created accounts
+    const cutoff = now - NEW_ACCOUNT_DAYS * 24 * 60 * 60 * 1000;
+    const fromNewAccounts = analyzed.filter(e => e.authorCreatedAt && e.authorCreatedAt > cutoff);
+    if (fromNewAccounts.length / analyzed.length >= NEW_ACCOUNT_MAX_SHARE) {
+      reasons.newAccountBurst = true;
+      for (const e of fromNewAccounts) flaggedIds.add(e.id);
+    }
+  }
+
+  return {
+    analyzed: analyzed.length,
+    flagged: flaggedIds.size,
+    ratio: analyzed.length > 0 ? Math.round((flaggedIds.size / analyzed.length) * 100) / 100 : 0,
+    uniqueAuthors: byAuthor.size,
+    reasons,
+    flaggedIds
+  };
+}
+
+module.exports = {
+  normalizeText,
+  textHash,
+  detectSuspiciousActivity
+};
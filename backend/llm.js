@@ -0,0 +1,308 @@
+// LLM analysis layer
+// Provider adapters (Anthropic, any OpenAI-compatible server, a deterministic
+// stub) behind one client that validates every reply against the analysis
+// schema and retries when the output is malformed. One call analyzes a batch
+// of tickers and replies { "analyses": { "<TICKER>": <analysis>, ... } }.
+
+const fetch = require('node-fetch');
+
+const WEIGHT_KEYS = ['reddit', 'stocktwits', 'bluesky', 'news', 'volume', 'price'];
+const RECOMMENDATIONS = ['high hype', 'moderate', 'low', 'suspicious'];
+const ANALYSIS_KEYS = ['hypeScore', 'confidence', 'reasoning', 'keyFactors', 'weights', 'anomalies', 'recommendation'];
+const WEIGHT_SUM_TOLERANCE = 0.02;
+
+// The model replied, but not with a valid analysis. Worth asking again.
+class AnalysisValidationError extends Error {}
+
+// The caller's budget can't cover another attempt. `attempts` is how many
+// were made before stopping.
+class BudgetExceededError extends Error {
+  constructor(attempts) {
+    super(attempts === 0 ? 'Over budget' : `Over budget after ${attempts} attempt(s)`);
+    this.attempts = attempts;
+  }
+}
+
+// The provider call itself failed
+class ProviderError extends Error {
+  constructor(message, retryable = false) {
+    super(message);
+    this.retryable = retryable;
+  }
+}
+
+// The JSON object in a reply, tolerating markdown fences or a sentence around it
+function extractJson(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new AnalysisValidationError('Empty reply');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) throw new AnalysisValidationError('Reply contains no JSON object');
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new AnalysisValidationError(`Invalid JSON: ${error.message}`);
+  }
+}
+
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Returns a normalized analysis or throws AnalysisValidationError listing
+// every problem. Weights within the tolerance of 1.0 are rescaled to sum to 1.
+function validateAnalysis(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new AnalysisValidationError('Analysis must be a JSON object');
+  }
+
+  const problems = [];
+  const unknown = Object.keys(value).filter(key => !ANALYSIS_KEYS.includes(key));
+  if (unknown.length > 0) problems.push(`unexpected fields: ${unknown.join(', ')}`);
+  if (!isScore(value.hypeScore)) problems.push('hypeScore must be a number from 0 to 100');
+  if (!isScore(value.confidence)) problems.push('confidence must be a number from 0 to 100');
+  if (typeof value.reasoning !== 'string' || !value.reasoning.trim()) problems.push('reasoning must be a non-empty string');
+  if (value.keyFactors !== undefined && !isStringList(value.keyFactors)) problems.push('keyFactors must be an array of strings');
+  if (value.anomalies !== undefined && !isStringList(value.anomalies)) problems.push('anomalies must be an array of strings');
+
+  const recommendation = typeof value.recommendation === 'string' ? value.recommendation.trim().toLowerCase() : null;
+  if (!RECOMMENDATIONS.includes(recommendation)) {
+    problems.push(`recommendation must be one of: ${RECOMMENDATIONS.join(', ')}`);
+  }
+
+  const weights = value.weights;
+  let weightSum = 0;
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    problems.push('weights must be an object');
+  } else {
+    for (const key of WEIGHT_KEYS) {
+      const weight = weights[key];
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+        problems.push(`weights.${key} must be a number from 0 to 1`);
+      } else {
+        weightSum += weight;
+      }
+    }
+    const extra = Object.keys(weights).filter(key => !WEIGHT_KEYS.includes(key));
+    if (extra.length > 0) problems.push(`unexpected weights: ${extra.join(', ')}`);
+    if (Math.abs(weightSum - 1) > WEIGHT_SUM_TOLERANCE) problems.push(`weights must sum to 1.0 (got ${weightSum.toFixed(3)})`);
+  }
+
+  if (problems.length > 0) throw new AnalysisValidationError(problems.join('; '));
+
+  return {
+    hypeScore: value.hypeScore,
+    confidence: value.confidence,
+    reasoning: value.reasoning.trim().slice(0, 2000),
+    keyFactors: (value.keyFactors || []).slice(0, 10),
+    weights: Object.fromEntries(WEIGHT_KEYS.map(key => [key, Math.round((weights[key] / weightSum) * 10000) / 10000])),
+    anomalies: (value.anomalies || []).slice(0, 10),
+    recommendation
+  };
+}
+
+// Validates a batch reply: exactly one valid analysis per requested ticker
+function validateBatch(value, tickers) {
+  if (!value || typeof value.analyses !== 'object' || Array.isArray(value.analyses)) {
+    throw new AnalysisValidationError('Reply must be an object with an "analyses" object keyed by ticker');
+  }
+
+  const problems = [];
+  const analyses = {};
+  const extra = Object.keys(value.analyses).filter(ticker => !tickers.includes(ticker));
+  if (extra.length > 0) problems.push(`unexpected tickers: ${extra.join(', ')}`);
+
+  for (const ticker of tickers) {
+    if (!value.analyses[ticker]) {
+      problems.push(`${ticker}: missing`);
+      continue;
+    }
+    try {
+      analyses[ticker] = validateAnalysis(value.analyses[ticker]);
+    } catch (error) {
+      problems.push(`${ticker}: ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) throw new AnalysisValidationError(problems.join('; '));
+  return analyses;
+}
+
+// Rough token count for providers that don't report usage
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+async function postJson(url, headers, body, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+      throw new ProviderError(`HTTP ${response.status}`, retryable);
+    }
+    return await response.json();
+  } catch (error) {
+    if (error instanceof ProviderError) throw error;
+    throw new ProviderError(error.name === 'AbortError' ? 'Timed out' : error.message, true);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Each provider: { name, model, complete(messages, items) -> { text, usage } }
+// where usage is { inputTokens, outputTokens }
+const PROVIDERS = {
+  anthropic: (env, timeoutMs) => ({
+    name: 'anthropic',
+    model: env.LLM_MODEL || 'claude-sonnet-4-20250514',
+    available: !!env.ANTHROPIC_API_KEY,
+    async complete(messages, items) {
+      const maxTokens = 512 * items.length + 256;
+      const result = await postJson(`${env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'}/v1/messages`, {
+        'x-api-key': env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      }, { model: this.model, max_tokens: maxTokens, messages }, timeoutMs);
+      return {
+        text: (result.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+        usage: { inputTokens: result.usage?.input_tokens || 0, outputTokens: result.usage?.output_tokens || 0 }
+      };
+    }
+  }),
+
+  // Chat completions API, as served by OpenAI, vLLM, llama.cpp, Ollama, LM Studio...
+  openai: (env, timeoutMs) => ({
+    name: 'openai',
+    model: env.LLM_MODEL || 'llama3.1',
+    available: !!env.LLM_BASE_URL,
+    async complete(messages, items) {
+      const headers = env.LLM_API_KEY ? { authorization: `Bearer ${env.LLM_API_KEY}` } : {};
+      const result = await postJson(`${(env.LLM_BASE_URL || '').replace(/\/$/, '')}/chat/completions`, headers, {
+        model: this.model,
+        max_tokens: 512 * items.length + 256,
+        temperature: 0,
+        messages
+      }, timeoutMs);
+      const text = result.choices?.[0]?.message?.content || '';
+      return {
+        text,
+        usage: {
+          inputTokens: result.usage?.prompt_tokens || estimateTokens(messages.map(m => m.content).join('')),
+          outputTokens: result.usage?.completion_tokens || estimateTokens(text)
+        }
+      };
+    }
+  }),
+
+  // No network: derives a fixed analysis from each ticker's counts, for
+  // tests and offline development
+  stub: () => ({
+    name: 'stub',
+    model: 'stub-1',
+    available: true,
+    async complete(messages, items) {
+      const analyses = {};
+      for (const { ticker, data = {} } of items) {
+        const social = (data.reddit || 0) + (data.stocktwits || 0) + (data.bluesky || 0);
+        const hypeScore = Math.min(100, Math.round(Math.log10(social + 1) * 30 + Math.min((data.news || 0) * 5, 15)));
+        analyses[ticker] = {
+          hypeScore,
+          confidence: 50,
+          reasoning: `Stub analysis of ${social} social mentions and ${data.news || 0} articles`,
+          keyFactors: ['social mentions'],
+          weights: { reddit: 0.3, stocktwits: 0.25, bluesky: 0.15, news: 0.1, volume: 0.1, price: 0.1 },
+          anomalies: [],
+          recommendation: hypeScore >= 70 ? 'high hype' : hypeScore >= 40 ? 'moderate' : 'low'
+        };
+      }
+      const text = JSON.stringify({ analyses });
+      return { text, usage: { inputTokens: estimateTokens(messages.map(m => m.content).join('')), outputTokens: estimateTokens(text) } };
+    }
+  })
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// LLM_PROVIDER picks the provider (anthropic | openai | stub | none). By
+// default Anthropic is used when ANTHROPIC_API_KEY is set.
+function createLLMClient(env = process.env) {
+  const name = (env.LLM_PROVIDER || (env.ANTHROPIC_API_KEY ? 'anthropic' : 'none')).toLowerCase();
+  const timeoutMs = (parseInt(env.LLM_TIMEOUT_SECONDS) || 30) * 1000;
+  const maxAttempts = parseInt(env.LLM_MAX_ATTEMPTS) || 3;
+  const provider = PROVIDERS[name] ? PROVIDERS[name](env, timeoutMs) : null;
+
+  return {
+    provider: provider ? provider.name : 'none',
+    model: provider ? provider.model : null,
+    available: !!provider?.available,
+
+    // Analyzes items ([{ ticker, data }]) in one conversation. Resolves
+    // { analyses, provider, model, attempts, usage }. Malformed replies are
+    // sent back with the validation errors; failed calls back off and retry.
+    // Before every attempt `canAttempt(estimatedInputTokens)` is asked whether
+    // the budget still allows it, and `onUsage(usage)` is told what each
+    // attempt spent as it happens. Errors carry the tokens already spent as
+    // `usage`.
+    async analyzeBatch(prompt, items, { canAttempt = () => true, onUsage = () => {} } = {}) {
+      if (!provider?.available) throw new ProviderError(`LLM provider "${name}" is not configured`);
+
+      const tickers = items.map(item => item.ticker);
+      const messages = [{ role: 'user', content: prompt }];
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      let lastError = null;
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (!canAttempt(estimateTokens(messages.map(m => m.content).join('\n')))) {
+          const error = new BudgetExceededError(attempt - 1);
+          error.usage = usage;
+          throw error;
+        }
+
+        let reply;
+        try {
+          reply = await provider.complete(messages, items);
+          usage.inputTokens += reply.usage.inputTokens;
+          usage.outputTokens += reply.usage.outputTokens;
+          onUsage(reply.usage);
+        } catch (error) {
+          error.usage = usage;
+          if (!(error instanceof ProviderError) || !error.retryable) throw error;
+          lastError = error;
+          if (attempt < maxAttempts) await delay(1000 * 2 ** (attempt - 1));
+          continue;
+        }
+
+        try {
+          const analyses = validateBatch(extractJson(reply.text), tickers);
+          return { analyses, provider: provider.name, model: provider.model, attempts: attempt, usage };
+        } catch (error) {
+          if (!(error instanceof AnalysisValidationError)) throw error;
+          lastError = error;
+          messages.push(
+            { role: 'assistant', content: reply.text || '(empty)' },
+            { role: 'user', content: `That reply was invalid: ${error.message}. Return ONLY the corrected JSON object.` }
+          );
+        }
+      }
+
+      lastError.usage = usage;
+      throw lastError;
+    }
+  };
+}
+
+module.exports = {
+  WEIGHT_KEYS,
+  RECOMMENDATIONS,
+  AnalysisValidationError,
+  BudgetExceededError,
+  ProviderError,
+  extractJson,
+  validateAnalysis,
+  validateBatch,
+  estimateTokens,
+  createLLMClient
+};
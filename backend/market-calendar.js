@@ -0,0 +1,180 @@
+// NYSE/Nasdaq trading calendar
+// Sessions are defined in New York time, so daylight saving time is handled
+// by the time zone rules rather than fixed UTC hours. Holidays and early
+// closes come from the bundled table below; extend it each year from
+// https://www.nyse.com/markets/hours-calendars. Dates past the table only
+// get the weekday rules.
+
+const TIME_ZONE = 'America/New_York';
+
+// Minutes after midnight, New York time
+const PRE_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const EARLY_CLOSE = 13 * 60;
+const POST_CLOSE = 20 * 60;
+// Extended hours still run four hours past an early close
+const EARLY_POST_CLOSE = 17 * 60;
+
+const HOLIDAYS = {
+  '2024-01-01': "New Year's Day",
+  '2024-01-15': 'Martin Luther King, Jr. Day',
+  '2024-02-19': "Washington's Birthday",
+  '2024-03-29': 'Good Friday',
+  '2024-05-27': 'Memorial Day',
+  '2024-06-19': 'Juneteenth',
+  '2024-07-04': 'Independence Day',
+  '2024-09-02': 'Labor Day',
+  '2024-11-28': 'Thanksgiving Day',
+  '2024-12-25': 'Christmas Day',
+  '2025-01-01': "New Year's Day",
+  '2025-01-09': 'National Day of Mourning for President Carter',
+  '2025-01-20': 'Martin Luther King, Jr. Day',
+  '2025-02-17': "Washington's Birthday",
+  '2025-04-18': 'Good Friday',
+  '2025-05-26': 'Memorial Day',
+  '2025-06-19': 'Juneteenth',
+  '2025-07-04': 'Independence Day',
+  '2025-09-01': 'Labor Day',
+  '2025-11-27': 'Thanksgiving Day',
+  '2025-12-25': 'Christmas Day',
+  '2026-01-01': "New Year's Day",
+  '2026-01-19': 'Martin Luther King, Jr. Day',
+  '2026-02-16': "Washington's Birthday",
+  '2026-04-03': 'Good Friday',
+  '2026-05-25': 'Memorial Day',
+  '2026-06-19': 'Juneteenth',
+  '2026-07-03': 'Independence Day (observed)',
+  '2026-09-07': 'Labor Day',
+  '2026-11-26': 'Thanksgiving Day',
+  '2026-12-25': 'Christmas Day',
+  '2027-01-01': "New Year's Day",
+  '2027-01-18': 'Martin Luther King, Jr. Day',
+  '2027-02-15': "Washington's Birthday",
+  '2027-03-26': 'Good Friday',
+  '2027-05-31': 'Memorial Day',
+  '2027-06-18': 'Juneteenth (observed)',
+  '2027-07-05': 'Independence Day (observed)',
+  '2027-09-06': 'Labor Day',
+  '2027-11-25': 'Thanksgiving Day',
+  '2027-12-24': 'Christmas Day (observed)'
+};
+
+// Regular session ends at 1:00 PM
+const EARLY_CLOSES = {
+  '2024-07-03': 'Independence Day eve',
+  '2024-11-29': 'Day after Thanksgiving',
+  '2024-12-24': 'Christmas Eve',
+  '2025-07-03': 'Independence Day eve',
+  '2025-11-28': 'Day after Thanksgiving',
+  '2025-12-24': 'Christmas Eve',
+  '2026-11-27': 'Day after Thanksgiving',
+  '2026-12-24': 'Christmas Eve',
+  '2027-11-26': 'Day after Thanksgiving'
+};
+
+const TABLE_YEARS = [...new Set(Object.keys(HOLIDAYS).map(date => date.slice(0, 4)))];
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Wall-clock parts of a timestamp in New York
+function localParts(timestamp) {
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    // New York wall time read as if it were UTC, for offset math
+    wallMs: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  };
+}
+
+// UTC timestamp of a New York wall-clock time on a given date
+function toTimestamp(date, minutes) {
+  const [year, month, day] = date.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  const offset = localParts(guess).wallMs - guess;
+  return guess - offset;
+}
+
+// Trading hours for a New York date, or null when the market is closed all day
+function tradingDay(date, weekday) {
+  if (weekday === 'Sat' || weekday === 'Sun' || HOLIDAYS[date]) return null;
+  const earlyClose = !!EARLY_CLOSES[date];
+  return {
+    preOpen: PRE_OPEN,
+    regularOpen: REGULAR_OPEN,
+    regularClose: earlyClose ? EARLY_CLOSE : REGULAR_CLOSE,
+    postClose: earlyClose ? EARLY_POST_CLOSE : POST_CLOSE,
+    earlyClose
+  };
+}
+
+// Session at a timestamp: { session: 'pre' | 'regular' | 'post' | 'closed',
+// date (New York), holiday, earlyClose, regularOpen, regularClose, inTable }.
+// regularOpen/regularClose are ISO times for that date, or null when the
+// market doesn't open.
+function getMarketSession(timestamp = Date.now()) {
+  const { date, weekday, minutes } = localParts(timestamp);
+  const day = tradingDay(date, weekday);
+
+  let session = 'closed';
+  if (day) {
+    if (minutes >= day.preOpen && minutes < day.regularOpen) session = 'pre';
+    else if (minutes >= day.regularOpen && minutes < day.regularClose) session = 'regular';
+    else if (minutes >= day.regularClose && minutes < day.postClose) session = 'post';
+  }
+
+  return {
+    session,
+    date,
+    holiday: HOLIDAYS[date] || null,
+    earlyClose: day ? day.earlyClose : false,
+    regularOpen: day ? new Date(toTimestamp(date, day.regularOpen)).toISOString() : null,
+    regularClose: day ? new Date(toTimestamp(date, day.regularClose)).toISOString() : null,
+    inTable: TABLE_YEARS.includes(date.slice(0, 4))
+  };
+}
+
+function isRegularSession(timestamp = Date.now()) {
+  return getMarketSession(timestamp).session === 'regular';
+}
+
+// Start of the next regular session after a timestamp (ISO), looking up to
+// two weeks ahead
+function nextRegularOpen(timestamp = Date.now()) {
+  for (let days = 0; days <= 14; days++) {
+    const { date, weekday } = localParts(timestamp + days * 24 * 60 * 60 * 1000);
+    const day = tradingDay(date, weekday);
+    if (!day) continue;
+    const open = toTimestamp(date, day.regularOpen);
+    if (open > timestamp) return new Date(open).toISOString();
+  }
+  return null;
+}
+
+// Human-readable label, e.g. for prompts and logs
+function describeSession({ session, holiday, earlyClose }) {
+  if (holiday) return `closed (${holiday})`;
+  const labels = { pre: 'pre-market', regular: 'regular session', post: 'after-hours', closed: 'closed' };
+  return earlyClose && session !== 'closed' ? `${labels[session]} (early close day)` : labels[session];
+}
+
+module.exports = {
+  HOLIDAYS,
+  EARLY_CLOSES,
+  getMarketSession,
+  isRegularSession,
+  nextRegularOpen,
+  describeSession
+};
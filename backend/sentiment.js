@@ -0,0 +1,79 @@
+// Offline rule-based sentiment classifier for stock chatter
+// Lexicon tuned for retail trading slang (Reddit, StockTwits, Bluesky) and
+// financial headlines. No network calls, no model files.
+
+const BULLISH_TERMS = {
+  bull: 1, bullish: 2, bulls: 1, buy: 1, buying: 1, bought: 1, long: 1, calls: 1,
+  moon: 2, mooning: 2, rocket: 1, squeeze: 1, breakout: 2, rally: 2, rallies: 2,
+  soar: 2, soars: 2, soaring: 2, surge: 2, surges: 2, surging: 2, jump: 1, jumps: 1,
+  gain: 1, gains: 1, beat: 1, beats: 2, upgrade: 2, upgraded: 2, undervalued: 2,
+  outperform: 2, rip: 1, ripping: 2, green: 1, tendies: 2, diamond: 1, hodl: 1,
+  strong: 1, record: 1, higher: 1, upside: 2, accumulate: 1, loading: 1, send: 1
+};
+
+const BEARISH_TERMS = {
+  bear: 1, bearish: 2, bears: 1, sell: 1, selling: 1, sold: 1, short: 1, shorting: 1,
+  puts: 1, dump: 2, dumping: 2, crash: 2, crashing: 2, plunge: 2, plunges: 2,
+  tank: 2, tanking: 2, drop: 1, drops: 1, fall: 1, falls: 1, falling: 1, miss: 1,
+  misses: 2, downgrade: 2, downgraded: 2, overvalued: 2, underperform: 2, red: 1,
+  bagholder: 2, bagholding: 2, bubble: 1, weak: 1, lower: 1, downside: 2, fraud: 2,
+  lawsuit: 1, bankruptcy: 2, dilution: 2, slump: 2, slumps: 2, loss: 1, losses: 1
+};
+
+const BULLISH_PHRASES = ['to the moon', 'all time high', 'price target raised', 'short squeeze', 'buy the dip'];
+const BEARISH_PHRASES = ['price target cut', 'going to zero', 'dead cat bounce', 'rug pull', 'sell off', 'selloff'];
+
+const BULLISH_EMOJI = ['🚀', '🌙', '📈', '💎', '🐂', '🔥', '💰'];
+const BEARISH_EMOJI = ['📉', '🐻', '💀', '🩸', '🤡'];
+
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", 'dont', "isn't", 'isnt', "won't", 'wont', "aren't", 'without']);
+const NEGATION_SPAN = 3;
+
+const SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+
+function scoreText(text) {
+  const lower = text.toLowerCase();
+  let score = 0;
+
+  for (const phrase of BULLISH_PHRASES) if (lower.includes(phrase)) score += 2;
+  for (const phrase of BEARISH_PHRASES) if (lower.includes(phrase)) score -= 2;
+  for (const emoji of BULLISH_EMOJI) if (text.includes(emoji)) score += 1;
+  for (const emoji of BEARISH_EMOJI) if (text.includes(emoji)) score -= 1;
+
+  const tokens = lower.match(/[a-z']+/g) || [];
+  let negateFor = 0;
+
+  for (const token of tokens) {
+    if (NEGATIONS.has(token)) {
+      negateFor = NEGATION_SPAN;
+      continue;
+    }
+
+    const weight = (BULLISH_TERMS[token] || 0) - (BEARISH_TERMS[token] || 0);
+    score += negateFor > 0 ? -weight : weight;
+    if (negateFor > 0) negateFor--;
+  }
+
+  return score;
+}
+
+// Returns 'bullish', 'bearish' or 'neutral'
+function classifySentiment(text) {
+  if (!text) return 'neutral';
+  const score = scoreText(text);
+  if (score >= 1) return 'bullish';
+  if (score <= -1) return 'bearish';
+  return 'neutral';
+}
+
+// Map a platform's own label (e.g. StockTwits "Bullish"/"Bearish") to ours
+function normalizeSentimentLabel(label) {
+  const normalized = (label || '').toLowerCase();
+  return SENTIMENTS.includes(normalized) ? normalized : null;
+}
+
+module.exports = {
+  SENTIMENTS,
+  classifySentiment,
+  normalizeSentimentLabel
+};
@@ -3,7 +3,14 @@ const cors = require('cors');
 const fetch = require('node-fetch');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const { BskyAgent } = require('@atproto/api');
+const { classifySentiment, normalizeSentimentLabel } = require('./sentiment');
+const { findTickerMention, extractCashtags } = require('./ticker-extractor');
+const { textHash, detectSuspiciousActivity } = require('./bot-detector');
+const { createLLMClient, BudgetExceededError } = require('./llm');
+const { getMarketSession, isRegularSession, nextRegularOpen, describeSession } = require('./market-calendar');
 const app = express();
 
 // Utility: Split array into chunks for parallel processing
@@ -18,6 +25,66 @@ function chunk(array, size) {
 // Utility: Delay with milliseconds
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Utility: Add to a roll-up bucket ({ [startMs]: { [source]: count } })
+function addToBucket(level, start, source, count) {
+  if (!level[start]) level[start] = {};
+  level[start][source] = (level[start][source] || 0) + count;
+}
+
+// Utility: Retired mention ids map to [timestamp, ...bucket keys the event
+// was counted under]. Files written before keys were recorded hold a bare
+// timestamp.
+function retiredEntry(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Utility: Check a backup's data has the shapes loadState/mergeState rely on,
+// so a bad archive is rejected before it touches live state
+function isValidArchiveData(data) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isCounts = (level) => isObject(level) &&
+    Object.values(level).every(counts => isObject(counts) && Object.values(counts).every(Number.isFinite));
+  const isRetired = (value) => Number.isFinite(value) ||
+    (Array.isArray(value) && Number.isFinite(value[0]) && value.slice(1).every(key => typeof key === 'string'));
+
+  const { mentionEvents = {}, mentionBuckets = {}, priceHistory = {}, aiWeights = {}, aiInsights = [] } = data;
+  if (![mentionEvents, mentionBuckets, priceHistory, aiWeights].every(isObject) || !Array.isArray(aiInsights)) return false;
+  if (![...Object.values(mentionEvents), ...Object.values(priceHistory)].every(Array.isArray)) return false;
+
+  const { buckets = {}, retiredIds = {}, compactedBefore = {} } = mentionBuckets;
+  if (![buckets, retiredIds, compactedBefore].every(isObject)) return false;
+  if (!Object.values(compactedBefore).every(Number.isFinite)) return false;
+  if (!Object.values(buckets).every(b => isObject(b) && isCounts(b.minute) && isCounts(b.hour))) return false;
+  if (!Object.values(retiredIds).every(ids => isObject(ids) && Object.values(ids).every(isRetired))) return false;
+  return true;
+}
+
+// Utility: Sum roll-up buckets whose start falls in [fromMs, toMs).
+// Keys are either a source ("reddit") or a source:sentiment tally
+// ("reddit:bullish"); totals across sources only add the plain source keys.
+function sumBuckets(level, fromMs, toMs, source = null) {
+  let total = 0;
+  for (const [start, counts] of Object.entries(level)) {
+    const startMs = Number(start);
+    if (startMs < fromMs || startMs >= toMs) continue;
+    if (source) {
+      total += counts[source] || 0;
+    } else {
+      for (const [key, count] of Object.entries(counts)) {
+        if (!key.includes(':')) total += count;
+      }
+    }
+  }
+  return total;
+}
+
+// Utility: Author handle namespaced by platform ("reddit:someone"), or null
+// for deleted/unknown accounts
+function authorId(platform, handle) {
+  if (!handle || handle === '[deleted]') return null;
+  return `${platform}:${handle.toLowerCase()}`;
+}
+
 // Rate Limiter for API calls
 class RateLimiter {
   constructor(requestsPerMinute) {
@@ -40,14 +107,34 @@ class RateLimiter {
   }
 }
 
+// On-disk envelope version. Bump it and add a STORAGE_MIGRATIONS entry
+// (keyed by the version being upgraded from) when a file's shape changes.
+const STORAGE_SCHEMA_VERSION = 1;
+const STORAGE_MIGRATIONS = {
+  0: (filename, data) => data // v0 = bare JSON, same shape as v1 data
+};
+
+const checksum = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+class SchemaVersionError extends Error {}
+
+const BACKUP_FORMAT = 'hypemeter-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+class BackupFormatError extends Error {}
+
 // Persistent storage manager
 class PersistentStorage {
   constructor() {
     this.dataPath = process.env.DATA_PATH || '/tmp';
     this.mentionEventsFile = path.join(this.dataPath, 'mention_events.json');
+    this.mentionBucketsFile = path.join(this.dataPath, 'mention_buckets.json');
     this.priceHistoryFile = path.join(this.dataPath, 'price_history.json');
     this.aiWeightsFile = path.join(this.dataPath, 'ai_weights.json');
     this.aiInsightsFile = path.join(this.dataPath, 'ai_insights.json');
+    this.writeQueues = new Map();
+    this.lockedFiles = new Set();
+    this.corruptFiles = [];
   }
 
   async ensureDataDir() {
@@ -59,22 +146,130 @@ class PersistentStorage {
     }
   }
 
+  // Crash-safe write: serialize into a checksummed, versioned envelope, write it
+  // to a temp file, fsync, keep the last good copy as .prev, then atomically
+  // rename over the live file. A crash at any point leaves either the old or
+  // the new file intact, never a half-written one.
   async saveData(filename, data) {
+    if (this.lockedFiles.has(filename)) {
+      console.error(`  ⚠️  Not saving ${filename}: on-disk copy has a newer schema than this server understands`);
+      return;
+    }
+
+    const previous = this.writeQueues.get(filename) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this.writeEnvelope(filename, data));
+    this.writeQueues.set(filename, write);
+    return write;
+  }
+
+  async writeEnvelope(filename, data) {
     await this.ensureDataDir();
     const filepath = path.join(this.dataPath, filename);
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-    const stats = await fs.stat(filepath);
-    console.log(`  💾 Saved ${filename}: ${(stats.size / 1024).toFixed(1)} KB`);
+    const tmpPath = `${filepath}.tmp`;
+
+    const payload = JSON.stringify(data);
+    const envelope = `{"schemaVersion":${STORAGE_SCHEMA_VERSION},"savedAt":${Date.now()},"checksum":"${checksum(payload)}","data":${payload}}`;
+
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(envelope);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await this.rotatePrevious(filename, filepath);
+    await fs.rename(tmpPath, filepath);
+
+    console.log(`  💾 Saved ${filename}: ${(Buffer.byteLength(envelope) / 1024).toFixed(1)} KB`);
   }
 
-  async loadData(filename) {
+  // Keep the live file as .prev only if it still decodes, so a copy that went
+  // bad since it was written never replaces the last good backup
+  async rotatePrevious(filename, filepath) {
+    let raw;
     try {
-      const filepath = path.join(this.dataPath, filename);
-      const data = await fs.readFile(filepath, 'utf8');
-      return JSON.parse(data);
+      raw = await fs.readFile(filepath, 'utf8');
     } catch (e) {
-      return null;
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+
+    try {
+      this.decodeEnvelope(filename, raw);
+    } catch (e) {
+      console.error(`  ⚠️  ${filename} is corrupt (${e.message}) - keeping existing .prev copy`);
+      this.corruptFiles.push({ file: filename, reason: e.message, detectedAt: new Date().toISOString() });
+      return;
+    }
+
+    await fs.writeFile(`${filepath}.prev`, raw);
+  }
+
+  // Returns null only when no copy exists. A corrupt live file is quarantined
+  // and the .prev copy is used instead, so a bad write never looks like an
+  // empty dataset.
+  async loadData(filename) {
+    const filepath = path.join(this.dataPath, filename);
+
+    for (const candidate of [filepath, `${filepath}.prev`]) {
+      let raw;
+      try {
+        raw = await fs.readFile(candidate, 'utf8');
+      } catch (e) {
+        if (e.code === 'ENOENT') continue;
+        console.error(`❌ Failed to read ${path.basename(candidate)}: ${e.message}`);
+        continue;
+      }
+
+      try {
+        const data = this.decodeEnvelope(filename, raw);
+        if (candidate !== filepath) {
+          console.log(`  ↻ Recovered ${filename} from last good copy`);
+        }
+        return data;
+      } catch (e) {
+        if (e instanceof SchemaVersionError) {
+          console.error(`❌ ${filename}: ${e.message} - file left untouched`);
+          this.lockedFiles.add(filename);
+          return null;
+        }
+        const quarantine = `${candidate}.corrupt-${Date.now()}`;
+        console.error(`❌ ${path.basename(candidate)} is corrupt (${e.message}) - moved to ${path.basename(quarantine)}`);
+        this.corruptFiles.push({ file: path.basename(candidate), reason: e.message, detectedAt: new Date().toISOString() });
+        await fs.rename(candidate, quarantine).catch(() => {});
+      }
+    }
+
+    return null;
+  }
+
+  decodeEnvelope(filename, raw) {
+    const parsed = JSON.parse(raw);
+
+    // Files written before the envelope format are plain JSON (schema 0)
+    if (parsed === null || typeof parsed !== 'object' || !('schemaVersion' in parsed)) {
+      return this.migrate(filename, 0, parsed);
+    }
+
+    if (parsed.schemaVersion > STORAGE_SCHEMA_VERSION) {
+      throw new SchemaVersionError(`schema v${parsed.schemaVersion} is newer than supported v${STORAGE_SCHEMA_VERSION}`);
+    }
+    if (checksum(JSON.stringify(parsed.data)) !== parsed.checksum) {
+      throw new Error('checksum mismatch');
+    }
+
+    return this.migrate(filename, parsed.schemaVersion, parsed.data);
+  }
+
+  migrate(filename, fromVersion, data) {
+    let version = fromVersion;
+    while (version < STORAGE_SCHEMA_VERSION) {
+      const step = STORAGE_MIGRATIONS[version];
+      if (step) data = step(filename, data);
+      version++;
     }
+    return data;
   }
 
   async saveMentionEvents(data) {
@@ -85,6 +280,14 @@ class PersistentStorage {
     return await this.loadData('mention_events.json') || {};
   }
 
+  async saveMentionBuckets(data) {
+    await this.saveData('mention_buckets.json', data);
+  }
+
+  async loadMentionBuckets() {
+    return await this.loadData('mention_buckets.json') || {};
+  }
+
   async savePriceHistory(data) {
     await this.saveData('price_history.json', data);
   }
@@ -108,21 +311,122 @@ class PersistentStorage {
   async loadAIInsights() {
     return await this.loadData('ai_insights.json') || [];
   }
+
+  async saveSymbolDirectory(data) {
+    await this.saveData('symbol_directory.json', data);
+  }
+
+  async loadSymbolDirectory() {
+    return await this.loadData('symbol_directory.json');
+  }
+
+  async saveDynamicTickers(data) {
+    await this.saveData('dynamic_tickers.json', data);
+  }
+
+  async loadDynamicTickers() {
+    return await this.loadData('dynamic_tickers.json') || {};
+  }
+
+  async saveWatchlists(data) {
+    await this.saveData('watchlists.json', data);
+  }
+
+  async loadWatchlists() {
+    return await this.loadData('watchlists.json');
+  }
+
+  async saveApiKeys(data) {
+    await this.saveData('api_keys.json', data);
+  }
+
+  async loadApiKeys() {
+    return await this.loadData('api_keys.json') || {};
+  }
+
+  async saveDiscovery(data) {
+    await this.saveData('discovery.json', data);
+  }
+
+  async loadDiscovery() {
+    return await this.loadData('discovery.json') || {};
+  }
+
+  async saveAlerts(data) {
+    await this.saveData('alerts.json', data);
+  }
+
+  async loadAlerts() {
+    return await this.loadData('alerts.json') || {};
+  }
+
+  async saveScoreHistory(data) {
+    await this.saveData('score_history.json', data);
+  }
+
+  async loadScoreHistory() {
+    return await this.loadData('score_history.json') || {};
+  }
+
+  async saveAIScheduler(data) {
+    await this.saveData('ai_scheduler.json', data);
+  }
+
+  async loadAIScheduler() {
+    return await this.loadData('ai_scheduler.json') || {};
+  }
 }
 
+const MENTION_SOURCES = ['reddit', 'reddit_comment', 'reddit_backfill', 'stocktwits', 'bluesky', 'news'];
+
+// Live sources grouped the way /api/hype reports them. Backfilled posts are
+// historical, so they never count towards current activity.
+const SOURCE_GROUPS = {
+  reddit: ['reddit', 'reddit_comment'],
+  stocktwits: ['stocktwits'],
+  bluesky: ['bluesky'],
+  news: ['news']
+};
+
 // AI-Powered Hype Calculator with Percentile Scoring
 class AIHypeCalculator {
   constructor() {
     this.storage = new PersistentStorage();
     this.mentionEvents = new Map();
+    this.mentionIds = new Map();
+    this.mentionBuckets = new Map();
+    this.retiredMentionIds = new Map();
+    this.compactedBefore = { raw: 0, minute: 0 };
     this.priceHistory = new Map();
     this.aiWeights = new Map();
     this.aiInsights = [];
-    this.analysisCount = 0;
-    this.useClaudeEvery = 50;
+    // Latest LLM analysis per ticker, written by AIScheduler
+    this.llmAnalyses = new Map();
+    
+    // Raw events are kept for the recent horizon (at least 25h, since collectors
+    // look back 24h), then rolled into per-source minute and hour buckets.
+    // IDs of rolled-up events are remembered long enough to cover the 7-day
+    // news lookback so compaction never lets an item be counted twice.
+    const hours = 60 * 60 * 1000;
+    this.retention = {
+      rawMs: Math.max(parseFloat(process.env.MENTION_RAW_RETENTION_HOURS) || 48, 25) * hours,
+      minuteMs: (parseFloat(process.env.MENTION_MINUTE_RETENTION_DAYS) || 7) * 24 * hours,
+      hourMs: (parseFloat(process.env.MENTION_HOUR_RETENTION_DAYS) || 90) * 24 * hours,
+      idMs: (parseFloat(process.env.MENTION_ID_RETENTION_DAYS) || 8) * 24 * hours
+    };
+    
+    // Default half-lives for decay-weighted mention intensity. News moves
+    // slower than social chatter, so it decays slower.
+    this.halfLives = {
+      social: parseDuration(process.env.MENTION_HALF_LIFE) || hours,
+      news: parseDuration(process.env.NEWS_HALF_LIFE) || 6 * hours
+    };
     
-    this.anthropicApiKey = process.env.ANTHROPIC_API_KEY;
-    this.claudeAvailable = !!this.anthropicApiKey;
+    // Typical hourly rates below this are treated as this, so a ticker that
+    // is usually silent doesn't read as 50x hyped on a couple of posts
+    this.relativeMinHourly = parseFloat(process.env.RELATIVE_MIN_HOURLY) || 0.5;
+    
+    this.llm = createLLMClient();
   }
 
   async init() {
@@ -139,49 +443,50 @@ class AIHypeCalculator {
       console.error('⚠️  Data will not persist across deploys!\n');
     }
     
-    const [mentionData, priceData, weightsData, insightsData] = await Promise.all([
+    const [mentionData, bucketData, priceData, weightsData, insightsData] = await Promise.all([
       this.storage.loadMentionEvents(),
+      this.storage.loadMentionBuckets(),
       this.storage.loadPriceHistory(),
       this.storage.loadAIWeights(),
       this.storage.loadAIInsights()
     ]);
 
-    for (const [ticker, events] of Object.entries(mentionData)) {
-      this.mentionEvents.set(ticker, events);
-    }
-    for (const [ticker, history] of Object.entries(priceData)) {
-      this.priceHistory.set(ticker, history);
-    }
-    for (const [ticker, weights] of Object.entries(weightsData)) {
-      this.aiWeights.set(ticker, weights);
-    }
-    this.aiInsights = insightsData;
+    this.loadState({
+      mentionEvents: mentionData,
+      mentionBuckets: bucketData,
+      priceHistory: priceData,
+      aiWeights: weightsData,
+      aiInsights: insightsData
+    });
+
+    this.compactMentions();
 
     const eventCount = Array.from(this.mentionEvents.values()).reduce((sum, e) => sum + e.length, 0);
     const priceCount = Array.from(this.priceHistory.values()).reduce((sum, h) => sum + h.length, 0);
     
     console.log(`📂 Loaded ${this.mentionEvents.size} tickers from storage`);
-    console.log(`📊 Total mention events: ${eventCount.toLocaleString()}`);
+    console.log(`📊 Total mention events: ${eventCount.toLocaleString()} raw, ${this.countBuckets().toLocaleString()} rolled-up buckets`);
     console.log(`💰 Total price snapshots: ${priceCount.toLocaleString()}`);
     console.log(`🧠 AI insights: ${this.aiInsights.length}`);
-    console.log(`🤖 Claude API: ${this.claudeAvailable ? '✓ Available' : '✗ Not configured'}\n`);
+    console.log(`🤖 LLM analysis: ${this.llm.available ? `✓ ${this.llm.provider} (${this.llm.model})` : '✗ Not configured'}\n`);
     
-    return eventCount > 0; // Return true if we have data
+    return eventCount > 0 || this.mentionBuckets.size > 0; // Return true if we have data
   }
 
   async persistData() {
     console.log(`\n💾 Persisting data to disk...`);
     
     try {
-      const mentionData = Object.fromEntries(this.mentionEvents);
-      const priceData = Object.fromEntries(this.priceHistory);
-      const weightsData = Object.fromEntries(this.aiWeights);
+      this.compactMentions();
+
+      const state = this.serializeState();
 
       await Promise.all([
-        this.storage.saveMentionEvents(mentionData),
-        this.storage.savePriceHistory(priceData),
-        this.storage.saveAIWeights(weightsData),
-        this.storage.saveAIInsights(this.aiInsights.slice(-100))
+        this.storage.saveMentionEvents(state.mentionEvents),
+        this.storage.saveMentionBuckets(state.mentionBuckets),
+        this.storage.savePriceHistory(state.priceHistory),
+        this.storage.saveAIWeights(state.aiWeights),
+        this.storage.saveAIInsights(state.aiInsights)
       ]);
 
       console.log(`✅ Data persisted successfully\n`);
@@ -190,135 +495,703 @@ class AIHypeCalculator {
     }
   }
 
-  isMarketOpen() {
-    const now = new Date();
-    const utcDay = now.getUTCDay();
-    const utcHours = now.getUTCHours();
-    const utcMinutes = now.getUTCMinutes();
-    
-    if (utcDay === 0 || utcDay === 6) return false;
-    
-    const utcTime = utcHours + utcMinutes / 60;
-    return utcTime >= 14.5 && utcTime < 21;
+  // Plain-object snapshot of everything we persist. Used for both the on-disk
+  // files and backup archives, so the two can never drift apart.
+  serializeState() {
+    return {
+      mentionEvents: Object.fromEntries(this.mentionEvents),
+      mentionBuckets: {
+        compactedBefore: this.compactedBefore,
+        buckets: Object.fromEntries(this.mentionBuckets),
+        retiredIds: Object.fromEntries(
+          Array.from(this.retiredMentionIds.entries()).map(([ticker, ids]) => [ticker, Object.fromEntries(ids)])
+        )
+      },
+      priceHistory: Object.fromEntries(this.priceHistory),
+      aiWeights: Object.fromEntries(this.aiWeights),
+      aiInsights: this.aiInsights.slice(-100)
+    };
   }
 
-  getMentionsInWindow(ticker, windowMinutes, source = null) {
-    const events = this.mentionEvents.get(ticker);
-    if (!events || events.length === 0) return 0;
-    
-    const windowMs = windowMinutes * 60 * 1000;
-    const cutoffTime = Date.now() - windowMs;
-    
-    return events.filter(e => {
-      const inWindow = e.timestamp > cutoffTime;
-      const matchesSource = !source || e.source === source;
-      return inWindow && matchesSource;
-    }).length;
+  loadState(state) {
+    this.mentionEvents = new Map();
+    this.mentionIds = new Map();
+    this.mentionBuckets = new Map();
+    this.retiredMentionIds = new Map();
+    this.compactedBefore = { raw: 0, minute: 0 };
+    this.priceHistory = new Map();
+    this.aiWeights = new Map();
+
+    for (const [ticker, events] of Object.entries(state.mentionEvents || {})) {
+      this.mentionEvents.set(ticker, events);
+      this.mentionIds.set(ticker, new Set(events.filter(e => e.id).map(e => e.id)));
+    }
+    const bucketData = state.mentionBuckets || {};
+    for (const [ticker, buckets] of Object.entries(bucketData.buckets || {})) {
+      this.mentionBuckets.set(ticker, buckets);
+    }
+    for (const [ticker, ids] of Object.entries(bucketData.retiredIds || {})) {
+      this.retiredMentionIds.set(ticker, new Map(Object.entries(ids).map(([id, value]) => [id, retiredEntry(value)])));
+    }
+    this.compactedBefore = { ...this.compactedBefore, ...bucketData.compactedBefore };
+    for (const [ticker, history] of Object.entries(state.priceHistory || {})) {
+      this.priceHistory.set(ticker, history);
+    }
+    for (const [ticker, weights] of Object.entries(state.aiWeights || {})) {
+      this.aiWeights.set(ticker, weights);
+    }
+    this.aiInsights = state.aiInsights || [];
   }
 
-  recordPrice(ticker, price, volume, volumeSource = 'unknown') {
-    if (!this.priceHistory.has(ticker)) {
-      this.priceHistory.set(ticker, []);
+  // Merge another instance's state into ours. Every step is idempotent, so
+  // importing the same archive twice changes nothing the second time.
+  mergeState(state) {
+    const stats = { mentions: 0, prices: 0, weights: 0, insights: 0 };
+
+    for (const [ticker, events] of Object.entries(state.mentionEvents || {})) {
+      for (const event of events) {
+        // Legacy events have no id; key them by source + time instead
+        const id = event.id || `${event.source}@${event.timestamp}`;
+        if (this.recordMention(ticker, { ...event, id })) stats.mentions++;
+      }
     }
 
-    const history = this.priceHistory.get(ticker);
-    history.push({
-      timestamp: Date.now(),
-      price,
-      volume,
-      volumeSource
-    });
+    // Bring our own buckets to their current roll-up levels so both sides are
+    // compared at the same granularity
+    this.compactMentions();
 
-    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-    this.priceHistory.set(
-      ticker,
-      history.filter(h => h.timestamp > thirtyDaysAgo)
+    const bucketData = state.mentionBuckets || {};
+    const remoteRetired = new Map(
+      Object.entries(bucketData.retiredIds || {}).map(([ticker, ids]) => [
+        ticker,
+        new Map(Object.entries(ids).map(([id, value]) => [id, retiredEntry(value)]))
+      ])
     );
+    for (const [ticker, buckets] of Object.entries(bucketData.buckets || {})) {
+      stats.mentions += this.mergeBuckets(ticker, buckets, remoteRetired.get(ticker) || new Map());
+    }
+    for (const [ticker, ids] of remoteRetired.entries()) {
+      if (!this.retiredMentionIds.has(ticker)) {
+        this.retiredMentionIds.set(ticker, new Map());
+      }
+      const retired = this.retiredMentionIds.get(ticker);
+      const raw = this.mentionIds.get(ticker);
+      // Events we still hold raw get retired by our own compaction
+      for (const [id, entry] of ids.entries()) {
+        if (!raw?.has(id)) retired.set(id, entry);
+      }
+    }
+    if (bucketData.compactedBefore) {
+      this.compactedBefore = {
+        raw: Math.max(this.compactedBefore.raw, bucketData.compactedBefore.raw || 0),
+        minute: Math.max(this.compactedBefore.minute, bucketData.compactedBefore.minute || 0)
+      };
+    }
+
+    for (const [ticker, history] of Object.entries(state.priceHistory || {})) {
+      const local = this.priceHistory.get(ticker) || [];
+      const seen = new Set(local.map(h => h.timestamp));
+      const added = history.filter(h => !seen.has(h.timestamp));
+      stats.prices += added.length;
+      this.priceHistory.set(ticker, [...local, ...added].sort((a, b) => a.timestamp - b.timestamp));
+    }
+
+    // Locally learned weights win; imported ones only fill gaps
+    for (const [ticker, weights] of Object.entries(state.aiWeights || {})) {
+      if (!this.aiWeights.has(ticker)) {
+        this.aiWeights.set(ticker, weights);
+        stats.weights++;
+      }
+    }
+
+    const insightKey = (i) => `${i.ticker}@${i.timestamp}`;
+    const seenInsights = new Set(this.aiInsights.map(insightKey));
+    const newInsights = (state.aiInsights || []).filter(i => !seenInsights.has(insightKey(i)));
+    stats.insights = newInsights.length;
+    this.aiInsights = [...this.aiInsights, ...newInsights]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-100);
+
+    this.compactMentions();
+    return stats;
   }
 
-  getPriceChange(ticker, windowMinutes) {
-    const history = this.priceHistory.get(ticker);
-    if (!history || history.length < 2) return null;
+  // Add another instance's roll-up buckets to ours and return how many
+  // mentions that added. Events either side rolled up are matched through
+  // their retired ids, so only events we haven't counted are added. Counts
+  // that can't be tied to an id (events without one, or ids past their
+  // retention) fall back to the larger side, which keeps re-imports a no-op.
+  mergeBuckets(ticker, remote, remoteRetired) {
+    if (!this.mentionBuckets.has(ticker)) {
+      this.mentionBuckets.set(ticker, { minute: {}, hour: {} });
+    }
+    const local = this.mentionBuckets.get(ticker);
+    const localRetired = this.retiredMentionIds.get(ticker) || new Map();
+    const localRaw = this.mentionIds.get(ticker) || new Set();
 
-    const now = Date.now();
-    const targetTime = now - (windowMinutes * 60 * 1000);
+    // Roll the other side's minutes up on our schedule
+    const minuteCutoff = Date.now() - this.retention.minuteMs;
+    const incoming = { minute: {}, hour: {} };
+    for (const [start, counts] of Object.entries(remote.minute)) {
+      const rolled = Number(start) < minuteCutoff;
+      const target = rolled ? incoming.hour : incoming.minute;
+      const targetStart = rolled ? Math.floor(Number(start) / 3600000) * 3600000 : start;
+      for (const [key, count] of Object.entries(counts)) addToBucket(target, targetStart, key, count);
+    }
+    for (const [start, counts] of Object.entries(remote.hour)) {
+      for (const [key, count] of Object.entries(counts)) addToBucket(incoming.hour, start, key, count);
+    }
 
-    let oldSnapshot = history[0];
-    let minDiff = Math.abs(history[0].timestamp - targetTime);
+    // Tally retired ids per `level:start:key`, placing each in the bucket that
+    // holds its timestamp
+    const tally = (levels, ids, include = () => true) => {
+      const counts = new Map();
+      for (const [id, [timestamp, ...keys]] of ids.entries()) {
+        if (keys.length === 0 || !include(id)) continue;
+        const minute = Math.floor(timestamp / 60000) * 60000;
+        const hour = Math.floor(timestamp / 3600000) * 3600000;
+        const slot = levels.minute[minute] ? `minute:${minute}` : levels.hour[hour] ? `hour:${hour}` : null;
+        if (!slot) continue;
+        for (const key of keys) counts.set(`${slot}:${key}`, (counts.get(`${slot}:${key}`) || 0) + 1);
+      }
+      return counts;
+    };
+    const localIds = tally(local, localRetired);
+    const remoteIds = tally(incoming, remoteRetired);
+    const newIds = tally(incoming, remoteRetired, id => !localRetired.has(id) && !localRaw.has(id));
 
-    for (const snapshot of history) {
-      const diff = Math.abs(snapshot.timestamp - targetTime);
-      if (diff < minDiff && snapshot.timestamp <= targetTime) {
-        minDiff = diff;
-        oldSnapshot = snapshot;
+    let added = 0;
+    for (const level of ['minute', 'hour']) {
+      for (const [start, counts] of Object.entries(incoming[level])) {
+        for (const [key, count] of Object.entries(counts)) {
+          const slot = `${level}:${start}:${key}`;
+          const localCount = local[level][start]?.[key] || 0;
+          const remoteRest = count - (remoteIds.get(slot) || 0);
+          const localRest = localCount - (localIds.get(slot) || 0);
+          const add = (newIds.get(slot) || 0) + Math.max(0, remoteRest - localRest);
+          if (add > 0) {
+            addToBucket(local[level], start, key, add);
+            if (!key.includes(':')) added += add;
+          }
+        }
       }
     }
+    return added;
+  }
+
+  exportArchive() {
+    return {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      schemaVersion: STORAGE_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: this.serializeState()
+    };
+  }
+
+  async importArchive(archive, mode = 'merge') {
+    if (!archive || archive.format !== BACKUP_FORMAT || !archive.data) {
+      throw new BackupFormatError('Not a HypeMeter backup archive');
+    }
+    if (archive.formatVersion > BACKUP_FORMAT_VERSION) {
+      throw new BackupFormatError(`Archive format v${archive.formatVersion} is newer than supported v${BACKUP_FORMAT_VERSION}`);
+    }
+    if (!isValidArchiveData(archive.data)) {
+      throw new BackupFormatError('Archive data is malformed');
+    }
 
-    const currentSnapshot = history[history.length - 1];
-    
-    if (oldSnapshot.price > 0 && currentSnapshot.price > 0) {
-      const change = currentSnapshot.price - oldSnapshot.price;
-      const changePercent = (change / oldSnapshot.price) * 100;
-      return {
-        change,
-        changePercent,
-        currentPrice: currentSnapshot.price,
-        currentVolume: currentSnapshot.volume,
-        oldPrice: oldSnapshot.price
-      };
+    let stats;
+    if (mode === 'replace') {
+      this.loadState(archive.data);
+      this.compactMentions();
+      stats = { replaced: true };
+    } else {
+      stats = this.mergeState(archive.data);
     }
 
-    return null;
+    await this.persistData();
+    console.log(`📥 Imported backup from ${archive.exportedAt} (${mode})`);
+    return stats;
   }
 
-  get24HourChange(ticker) {
-    const history = this.priceHistory.get(ticker);
-    if (!history || history.length < 2) return null;
-    
-    const latest = history[history.length - 1];
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    
-    let oldSnapshot = history[0];
-    let minDiff = Math.abs(history[0].timestamp - oneDayAgo);
-    
-    for (const snapshot of history) {
-      const diff = Math.abs(snapshot.timestamp - oneDayAgo);
-      if (diff < minDiff) {
-        minDiff = diff;
-        oldSnapshot = snapshot;
+  // Regular NYSE session, per market-calendar.js (holidays and DST aware)
+  isMarketOpen(timestamp = Date.now()) {
+    return isRegularSession(timestamp);
+  }
+
+  // Record a mention once per source item. `id` is the platform's stable identity
+  // (Reddit fullname, StockTwits message id, Bluesky URI, Finnhub article id), so
+  // re-seeing the same post on the next cycle or after a restart is a no-op.
+  recordMention(ticker, event) {
+    if (!this.mentionEvents.has(ticker)) {
+      this.mentionEvents.set(ticker, []);
+      this.mentionIds.set(ticker, new Set());
+    }
+
+    const ids = this.mentionIds.get(ticker);
+    if (ids.has(event.id) || this.retiredMentionIds.get(ticker)?.has(event.id)) return false;
+
+    ids.add(event.id);
+    this.mentionEvents.get(ticker).push(event);
+    return true;
+  }
+
+  getMentionsInWindow(ticker, windowMinutes, source = null) {
+    const cutoffTime = Date.now() - windowMinutes * 60 * 1000;
+    return this.countMentions(ticker, cutoffTime, Infinity, source);
+  }
+
+  // Count mentions in (fromMs, toMs] from raw events plus any roll-up buckets
+  // that could overlap the range. Buckets are skipped entirely for windows
+  // that start inside the raw horizon, which keeps recent queries cheap.
+  countMentions(ticker, fromMs, toMs = Infinity, source = null) {
+    let count = 0;
+
+    for (const e of this.mentionEvents.get(ticker) || []) {
+      if (e.timestamp > fromMs && e.timestamp <= toMs && (!source || e.source === source)) {
+        count++;
       }
     }
-    
-    if (oldSnapshot.price > 0 && latest.price > 0) {
-      return {
-        change: latest.price - oldSnapshot.price,
-        changePercent: ((latest.price - oldSnapshot.price) / oldSnapshot.price) * 100,
-        currentPrice: latest.price,
-        currentVolume: latest.volume,
-        label: '24h Change'
-      };
+
+    const buckets = this.mentionBuckets.get(ticker);
+    if (buckets && fromMs < this.compactedBefore.raw) {
+      count += sumBuckets(buckets.minute, fromMs, toMs, source);
+      if (fromMs < this.compactedBefore.minute) {
+        count += sumBuckets(buckets.hour, fromMs, toMs, source);
+      }
     }
-    
-    return null;
+
+    return count;
   }
 
-  calculateBaselineHype(ticker, data) {
-    const { reddit, stocktwits, bluesky, news, volume, priceChangePercent } = data;
+  // Coordinated/bot activity among live mentions since fromMs, with flagged
+  // counts per source group and the flagged event IDs. Only raw events carry
+  // authors, so the analysis covers at most the raw retention window.
+  getSuspiciousActivity(ticker, fromMs) {
+    const live = Object.values(SOURCE_GROUPS).flat();
+    const events = (this.mentionEvents.get(ticker) || []).filter(e => e.timestamp > fromMs && live.includes(e.source));
+    const { flaggedIds, ...result } = detectSuspiciousActivity(events);
     
-    let score = 0;
+    const flaggedBySource = {};
+    for (const [group, sources] of Object.entries(SOURCE_GROUPS)) {
+      flaggedBySource[group] = events.filter(e => flaggedIds.has(e.id) && sources.includes(e.source)).length;
+    }
+    return { ...result, flaggedBySource, flaggedIds };
+  }
+
+  // Decay-weighted mention intensity: each mention counts 2^(-age/halfLife),
+  // scaled by ln 2 so a steady stream scores the same as a hard count over
+  // one half-life (an hour-long window, at the default). Mentions older than
+  // ten half-lives are ignored; roll-up buckets count at their midpoint.
+  // Event IDs in `exclude` are left out.
+  getMentionIntensity(ticker, halfLifeMs, sources, { now = Date.now(), exclude = null } = {}) {
+    const wanted = new Set(sources);
+    const fromMs = now - 10 * halfLifeMs;
+    const weight = (timestamp) => Math.pow(2, -(now - timestamp) / halfLifeMs);
+    let intensity = 0;
+
+    for (const e of this.mentionEvents.get(ticker) || []) {
+      if (e.timestamp <= fromMs || e.timestamp > now || !wanted.has(e.source)) continue;
+      if (exclude?.has(e.id)) continue;
+      intensity += weight(e.timestamp);
+    }
+
+    const buckets = this.mentionBuckets.get(ticker);
+    if (buckets && fromMs < this.compactedBefore.raw) {
+      const levels = [[buckets.minute, 60 * 1000]];
+      if (fromMs < this.compactedBefore.minute) levels.push([buckets.hour, 60 * 60 * 1000]);
+      for (const [level, sizeMs] of levels) {
+        for (const [start, counts] of Object.entries(level)) {
+          const midpoint = Number(start) + sizeMs / 2;
+          if (midpoint <= fromMs || midpoint > now) continue;
+          for (const source of wanted) {
+            if (counts[source]) intensity += counts[source] * weight(midpoint);
+          }
+        }
+      }
+    }
+
+    return Math.round(intensity * Math.LN2 * 100) / 100;
+  }
+
+  // Bullish/bearish/neutral tallies for mentions in (fromMs, toMs]. Events
+  // recorded before classification existed count as neutral.
+  countSentiment(ticker, fromMs, toMs = Infinity, sources = MENTION_SOURCES) {
+    const wanted = new Set(sources);
+    let total = 0;
+    let bullish = 0;
+    let bearish = 0;
+
+    for (const e of this.mentionEvents.get(ticker) || []) {
+      if (e.timestamp <= fromMs || e.timestamp > toMs || !wanted.has(e.source)) continue;
+      total++;
+      if (e.sentiment === 'bullish') bullish++;
+      else if (e.sentiment === 'bearish') bearish++;
+    }
+
+    const buckets = this.mentionBuckets.get(ticker);
+    if (buckets && fromMs < this.compactedBefore.raw) {
+      const levels = fromMs < this.compactedBefore.minute ? [buckets.minute, buckets.hour] : [buckets.minute];
+      for (const level of levels) {
+        for (const source of wanted) {
+          total += sumBuckets(level, fromMs, toMs, source);
+          bullish += sumBuckets(level, fromMs, toMs, `${source}:bullish`);
+          bearish += sumBuckets(level, fromMs, toMs, `${source}:bearish`);
+        }
+      }
+    }
+
+    const polarized = bullish + bearish;
+    return {
+      bullish,
+      bearish,
+      neutral: total - polarized,
+      net: polarized > 0 ? Math.round(((bullish - bearish) / polarized) * 100) / 100 : 0
+    };
+  }
+
+  // Current activity against the ticker's own typical level over the
+  // trailing 7 and 30 days, per source group. `intensity` is getHypeData's
+  // decay-weighted intensity, converted to a rate per hour. The score maps
+  // the 7-day ratio of all sources combined to 0-100: 50 is a normal hour
+  // for this name, 75 twice normal, 100 four times or more. Null with less
+  // than a day of history.
+  getRelativeAttention(ticker, intensity, halfLives, now = Date.now()) {
+    // Backfilled posts aren't in the baseline, so it starts with live collection
+    const firstSeen = this.getFirstMentionTime(ticker, Object.values(SOURCE_GROUPS).flat());
+    if (firstSeen === null || now - firstSeen < 24 * 60 * 60 * 1000) return null;
+    
+    // The current hour is what we compare, so it's left out of the baseline
+    const toMs = Math.floor(now / HOUR_MS) * HOUR_MS;
+    const series = this.getMentionSeries(ticker, toMs - 30 * 24 * HOUR_MS, toMs, HOUR_MS);
+    const typical = (group, days) => {
+      const fromMs = Math.max(toMs - days * 24 * HOUR_MS, Math.floor(firstSeen / HOUR_MS) * HOUR_MS);
+      const hours = Math.max((toMs - fromMs) / HOUR_MS, 1);
+      let total = 0;
+      for (const [start, counts] of series.entries()) {
+        if (start < fromMs) continue;
+        for (const source of SOURCE_GROUPS[group]) total += counts[source] || 0;
+      }
+      return total / hours;
+    };
+    const ratio = (current, usual) => Math.round((current / Math.max(usual, this.relativeMinHourly)) * 100) / 100;
+    
+    const bySource = {};
+    const totals = { current: 0, typical7d: 0, typical30d: 0 };
+    for (const group of Object.keys(SOURCE_GROUPS)) {
+      const halfLifeHours = (group === 'news' ? halfLives.news : halfLives.social) / HOUR_MS;
+      const current = intensity[group] / halfLifeHours;
+      const typical7d = typical(group, 7);
+      const typical30d = typical(group, 30);
+      totals.current += current;
+      totals.typical7d += typical7d;
+      totals.typical30d += typical30d;
+      bySource[group] = {
+        currentPerHour: round2(current),
+        typical7d: round2(typical7d),
+        typical30d: round2(typical30d),
+        ratio7d: ratio(current, typical7d),
+        ratio30d: ratio(current, typical30d)
+      };
+    }
+    
+    const ratio7d = ratio(totals.current, totals.typical7d);
+    const score = ratio7d > 0 ? Math.round(Math.min(Math.max(50 + 25 * Math.log2(ratio7d), 0), 100)) : 0;
+    return {
+      score,
+      ratio7d,
+      ratio30d: ratio(totals.current, totals.typical30d),
+      historyDays: round2(Math.min((now - firstSeen) / (24 * HOUR_MS), 30)),
+      bySource
+    };
+  }
+
+  hasMentionData(ticker) {
+    return (this.mentionEvents.get(ticker)?.length || 0) > 0 || this.mentionBuckets.has(ticker);
+  }
+
+  // Timestamp of the oldest mention we still hold for a ticker, or null.
+  // With `sources`, only mentions from those sources count.
+  getFirstMentionTime(ticker, sources = null) {
+    const wanted = sources ? new Set(sources) : null;
+    let first = Infinity;
+    for (const e of this.mentionEvents.get(ticker) || []) {
+      if (e.timestamp < first && (!wanted || wanted.has(e.source))) first = e.timestamp;
+    }
+    const buckets = this.mentionBuckets.get(ticker);
+    if (buckets) {
+      for (const level of [buckets.minute, buckets.hour]) {
+        for (const [start, counts] of Object.entries(level)) {
+          if (Number(start) >= first) continue;
+          if (!wanted || Object.keys(counts).some(key => wanted.has(key))) first = Number(start);
+        }
+      }
+    }
+    return first === Infinity ? null : first;
+  }
+
+  countBuckets() {
+    let total = 0;
+    for (const buckets of this.mentionBuckets.values()) {
+      total += Object.keys(buckets.minute).length + Object.keys(buckets.hour).length;
+    }
+    return total;
+  }
+
+  // Mention counts per source grouped into fixed-size buckets over [fromMs, toMs).
+  // Roll-up buckets land on their own start time, so data older than the raw
+  // horizon can't be resolved finer than a minute (or an hour, further back).
+  getMentionSeries(ticker, fromMs, toMs, bucketMs, sources = MENTION_SOURCES) {
+    const series = new Map();
+    const wanted = new Set(sources);
+    const add = (timestamp, source, count) => {
+      if (timestamp < fromMs || timestamp >= toMs || !wanted.has(source)) return;
+      const start = Math.floor(timestamp / bucketMs) * bucketMs;
+      if (!series.has(start)) series.set(start, {});
+      const counts = series.get(start);
+      counts[source] = (counts[source] || 0) + count;
+    };
+
+    for (const e of this.mentionEvents.get(ticker) || []) {
+      add(e.timestamp, e.source, 1);
+    }
+
+    const buckets = this.mentionBuckets.get(ticker);
+    if (buckets) {
+      for (const level of [buckets.minute, buckets.hour]) {
+        for (const [start, counts] of Object.entries(level)) {
+          for (const [source, count] of Object.entries(counts)) {
+            add(Number(start), source, count);
+          }
+        }
+      }
+    }
+
+    return series;
+  }
+
+  // Finest resolution available for data starting at fromMs
+  getSeriesResolution(fromMs) {
+    if (fromMs < this.compactedBefore.minute) return '1h';
+    if (fromMs < this.compactedBefore.raw) return '1m';
+    return 'raw';
+  }
+
+  // Retention: raw events -> minute buckets -> hour buckets -> dropped
+  compactMentions(now = Date.now()) {
+    const rawCutoff = now - this.retention.rawMs;
+    const minuteCutoff = now - this.retention.minuteMs;
+    const hourCutoff = now - this.retention.hourMs;
+    const idCutoff = now - this.retention.idMs;
+    let rolledEvents = 0;
+    let rolledMinutes = 0;
+    let droppedHours = 0;
+
+    for (const [ticker, events] of this.mentionEvents.entries()) {
+      if (!events.some(e => e.timestamp < rawCutoff)) continue;
+
+      if (!this.mentionBuckets.has(ticker)) {
+        this.mentionBuckets.set(ticker, { minute: {}, hour: {} });
+      }
+      if (!this.retiredMentionIds.has(ticker)) {
+        this.retiredMentionIds.set(ticker, new Map());
+      }
+      const buckets = this.mentionBuckets.get(ticker);
+      const ids = this.mentionIds.get(ticker);
+      const retired = this.retiredMentionIds.get(ticker);
+
+      const kept = [];
+      for (const event of events) {
+        if (event.timestamp >= rawCutoff) {
+          kept.push(event);
+          continue;
+        }
+        const start = Math.floor(event.timestamp / 60000) * 60000;
+        addToBucket(buckets.minute, start, event.source, 1);
+        if (event.sentiment === 'bullish' || event.sentiment === 'bearish') {
+          addToBucket(buckets.minute, start, `${event.source}:${event.sentiment}`, 1);
+        }
+        if (event.id) {
+          ids?.delete(event.id);
+          retired.set(event.id, event.sentiment === 'bullish' || event.sentiment === 'bearish'
+            ? [event.timestamp, event.source, `${event.source}:${event.sentiment}`]
+            : [event.timestamp, event.source]);
+        }
+        rolledEvents++;
+      }
+      this.mentionEvents.set(ticker, kept);
+    }
+
+    for (const [ticker, buckets] of this.mentionBuckets.entries()) {
+      for (const [start, counts] of Object.entries(buckets.minute)) {
+        if (Number(start) >= minuteCutoff) continue;
+        const hourStart = Math.floor(Number(start) / 3600000) * 3600000;
+        for (const [source, count] of Object.entries(counts)) {
+          addToBucket(buckets.hour, hourStart, source, count);
+        }
+        delete buckets.minute[start];
+        rolledMinutes++;
+      }
+      for (const start of Object.keys(buckets.hour)) {
+        if (Number(start) < hourCutoff) {
+          delete buckets.hour[start];
+          droppedHours++;
+        }
+      }
+      if (Object.keys(buckets.minute).length === 0 && Object.keys(buckets.hour).length === 0) {
+        this.mentionBuckets.delete(ticker);
+      }
+    }
+
+    for (const [ticker, retired] of this.retiredMentionIds.entries()) {
+      for (const [id, [timestamp]] of retired.entries()) {
+        if (timestamp < idCutoff) retired.delete(id);
+      }
+      if (retired.size === 0) this.retiredMentionIds.delete(ticker);
+    }
+
+    this.compactedBefore = {
+      raw: Math.max(this.compactedBefore.raw, rawCutoff),
+      minute: Math.max(this.compactedBefore.minute, minuteCutoff)
+    };
+
+    if (rolledEvents > 0 || rolledMinutes > 0 || droppedHours > 0) {
+      console.log(`  🗜️  Compacted mentions: ${rolledEvents} events → minute buckets, ${rolledMinutes} minute → hour buckets, ${droppedHours} hour buckets expired`);
+    }
+  }
+
+  recordPrice(ticker, price, volume, volumeSource = 'unknown') {
+    if (!this.priceHistory.has(ticker)) {
+      this.priceHistory.set(ticker, []);
+    }
+
+    const history = this.priceHistory.get(ticker);
+    history.push({
+      timestamp: Date.now(),
+      price,
+      volume,
+      volumeSource
+    });
+
+    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+    this.priceHistory.set(
+      ticker,
+      history.filter(h => h.timestamp > thirtyDaysAgo)
+    );
+  }
+
+  getPriceChange(ticker, windowMinutes) {
+    const history = this.priceHistory.get(ticker);
+    if (!history || history.length < 2) return null;
+
+    const now = Date.now();
+    const targetTime = now - (windowMinutes * 60 * 1000);
+
+    let oldSnapshot = history[0];
+    let minDiff = Math.abs(history[0].timestamp - targetTime);
+
+    for (const snapshot of history) {
+      const diff = Math.abs(snapshot.timestamp - targetTime);
+      if (diff < minDiff && snapshot.timestamp <= targetTime) {
+        minDiff = diff;
+        oldSnapshot = snapshot;
+      }
+    }
+
+    const currentSnapshot = history[history.length - 1];
+    
+    if (oldSnapshot.price > 0 && currentSnapshot.price > 0) {
+      const change = currentSnapshot.price - oldSnapshot.price;
+      const changePercent = (change / oldSnapshot.price) * 100;
+      return {
+        change,
+        changePercent,
+        currentPrice: currentSnapshot.price,
+        currentVolume: currentSnapshot.volume,
+        oldPrice: oldSnapshot.price
+      };
+    }
+
+    return null;
+  }
+
+  get24HourChange(ticker) {
+    const history = this.priceHistory.get(ticker);
+    if (!history || history.length < 2) return null;
+    
+    const latest = history[history.length - 1];
+    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
+    
+    let oldSnapshot = history[0];
+    let minDiff = Math.abs(history[0].timestamp - oneDayAgo);
+    
+    for (const snapshot of history) {
+      const diff = Math.abs(snapshot.timestamp - oneDayAgo);
+      if (diff < minDiff) {
+        minDiff = diff;
+        oldSnapshot = snapshot;
+      }
+    }
+    
+    if (oldSnapshot.price > 0 && latest.price > 0) {
+      return {
+        change: latest.price - oldSnapshot.price,
+        changePercent: ((latest.price - oldSnapshot.price) / oldSnapshot.price) * 100,
+        currentPrice: latest.price,
+        currentVolume: latest.volume,
+        label: '24h Change'
+      };
+    }
     
-    if (reddit > 0) score += Math.min(Math.log10(reddit + 1) * 20, 30);
-    if (stocktwits > 0) score += Math.min(Math.log10(stocktwits + 1) * 15, 20);
-    if (bluesky > 0) score += Math.min(Math.log10(bluesky + 1) * 10, 15);
-    if (news > 0) score += Math.min(news * 5, 15);
-    if (volume > 0) score += Math.min(Math.log10(volume / 1000000 + 1) * 10, 15);
-    if (priceChangePercent) score += Math.min(Math.abs(priceChangePercent) * 2, 10);
+    return null;
+  }
+
+  // Points each input adds to the fixed baseline formula
+  baselineComponents(data) {
+    const { reddit, stocktwits, bluesky, news, volume, priceChangePercent } = data;
     
+    return {
+      reddit: reddit > 0 ? Math.min(Math.log10(reddit + 1) * 20, 30) : 0,
+      stocktwits: stocktwits > 0 ? Math.min(Math.log10(stocktwits + 1) * 15, 20) : 0,
+      bluesky: bluesky > 0 ? Math.min(Math.log10(bluesky + 1) * 10, 15) : 0,
+      news: news > 0 ? Math.min(news * 5, 15) : 0,
+      volume: volume > 0 ? Math.min(Math.log10(volume / 1000000 + 1) * 10, 15) : 0,
+      price: priceChangePercent ? Math.min(Math.abs(priceChangePercent) * 2, 10) : 0
+    };
+  }
+
+  // Points each input adds under a set of source weights
+  weightedComponents(data, weights) {
+    return {
+      reddit: (data.reddit || 0) * weights.reddit * 50,
+      stocktwits: (data.stocktwits || 0) * weights.stocktwits * 50,
+      bluesky: (data.bluesky || 0) * weights.bluesky * 50,
+      news: (data.news || 0) * weights.news * 50,
+      volume: Math.log10((data.volume || 0) / 1000000 + 1) * weights.volume * 30,
+      price: Math.abs(data.priceChangePercent || 0) * weights.price * 5
+    };
+  }
+
+  calculateBaselineHype(ticker, data) {
+    const score = Object.values(this.baselineComponents(data)).reduce((sum, points) => sum + points, 0);
     return Math.min(Math.round(score), 100);
   }
 
   // NEW: Percentile-based scoring to prevent 100/100 spam
-  calculatePercentileScore(ticker, baseScore, allTickersData) {
+  // +5 when the last hour had more mentions than the hour before
+  getVelocityBonus(ticker, now = Date.now()) {
+    const last1h = this.countMentions(ticker, now - 3600000, now);
+    const prev1h = this.countMentions(ticker, now - 7200000, now - 3600000);
+    return last1h > prev1h ? 5 : 0;
+  }
+
+  calculatePercentileScore(ticker, baseScore, allTickersData, velocityBonus = this.getVelocityBonus(ticker)) {
+    return this.percentileBreakdown(ticker, baseScore, allTickersData, velocityBonus).score;
+  }
+
+  // The steps from base score to final score: { score, percentile, peers,
+  // percentilePoints, velocityBonus, exceptionalBonus }
+  percentileBreakdown(ticker, baseScore, allTickersData, velocityBonus = this.getVelocityBonus(ticker)) {
     const allScores = [];
     
     for (const [t, data] of allTickersData.entries()) {
@@ -326,65 +1199,1288 @@ class AIHypeCalculator {
         const score = this.calculateBaselineHype(t, data);
         allScores.push(score);
       }
-    }
+    }
+    
+    // Nothing to rank against: the base score itself, capped at 85
+    if (allScores.length === 0) {
+      const capped = Math.min(baseScore, 85);
+      return { score: capped, percentile: null, peers: 0, percentilePoints: capped, velocityBonus: 0, exceptionalBonus: 0 };
+    }
+    
+    allScores.sort((a, b) => a - b);
+    
+    const lowerScores = allScores.filter(s => s < baseScore).length;
+    const percentile = (lowerScores / allScores.length) * 100;
+    
+    // Scale to 0-85 range, with velocity bonus
+    const percentilePoints = percentile * 0.85;
+    let finalScore = percentilePoints + velocityBonus;
+    
+    // Only exceptional cases hit 90+
+    let exceptionalBonus = 0;
+    if (percentile > 98 && velocityBonus === 5) {
+      exceptionalBonus = Math.min(finalScore + 10, 98) - finalScore;
+      finalScore += exceptionalBonus;
+    }
+    
+    return {
+      score: Math.round(finalScore),
+      percentile,
+      peers: allScores.length,
+      percentilePoints,
+      velocityBonus,
+      exceptionalBonus
+    };
+  }
+
+  // Score before percentile ranking: learned weights when we have them,
+  // otherwise the fixed baseline formula
+  calculateBaseScore(ticker, data) {
+    const learnedWeights = this.aiWeights.get(ticker);
+    if (!learnedWeights) {
+      return { baseScore: this.calculateBaselineHype(ticker, data), learnedWeights, components: this.baselineComponents(data) };
+    }
+    
+    const components = this.weightedComponents(data, learnedWeights);
+    const baseScore = Object.values(components).reduce((sum, points) => sum + points, 0);
+    return { baseScore, learnedWeights, components };
+  }
+
+  // Where a score's points came from. Source contributions split the
+  // percentile points in proportion to each source's share of the base score
+  // (for LLM scores, as weighted by the LLM's own source weights); the
+  // velocity and exceptional bonuses are added on top.
+  explainScore(data, { formula, rawScore, weights, components, breakdown }) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const componentTotal = Object.values(components).reduce((sum, points) => sum + points, 0);
+    const inputs = {
+      reddit: data.reddit,
+      stocktwits: data.stocktwits,
+      bluesky: data.bluesky,
+      news: data.news,
+      volume: data.volume,
+      price: data.priceChangePercent
+    };
+    
+    const contributions = {};
+    for (const [source, points] of Object.entries(components)) {
+      contributions[source] = componentTotal > 0 ? round(breakdown.percentilePoints * (points / componentTotal)) : 0;
+    }
+    contributions.velocity = breakdown.velocityBonus;
+    contributions.exceptional = round(breakdown.exceptionalBonus);
+    
+    return {
+      formula,
+      rawScore: round(rawScore),
+      weights: weights ? Object.fromEntries(WEIGHT_FEATURES.map(feature => [feature, weights[feature]])) : null,
+      components: Object.fromEntries(Object.entries(components).map(([source, points]) => [
+        source,
+        { input: inputs[source], points: round(points) }
+      ])),
+      percentile: {
+        rank: breakdown.percentile === null ? null : round(breakdown.percentile),
+        peers: breakdown.peers,
+        points: round(breakdown.percentilePoints),
+        adjustment: round(breakdown.percentilePoints - rawScore)
+      },
+      velocityBonus: breakdown.velocityBonus,
+      exceptionalBonus: round(breakdown.exceptionalBonus),
+      contributions
+    };
+  }
+
+  // Cached LLM analysis for a ticker, or null when there is none or it expired
+  getLLMAnalysis(ticker, now = Date.now()) {
+    const cached = this.llmAnalyses.get(ticker);
+    if (!cached || Date.parse(cached.expiresAt) <= now) return null;
+    return cached;
+  }
+
+  // Never calls the LLM: analyses come from AIScheduler's background runs.
+  // With `explain`, adds a per-component breakdown (see explainScore).
+  async calculateHype(ticker, data, allTickersData, { explain = false } = {}) {
+    const llmAnalysis = this.getLLMAnalysis(ticker);
+
+    if (llmAnalysis) {
+      // Apply percentile adjustment to LLM scores
+      const breakdown = this.percentileBreakdown(ticker, llmAnalysis.hypeScore, allTickersData);
+      
+      return {
+        hypeScore: breakdown.score,
+        rawScore: llmAnalysis.hypeScore,
+        confidence: llmAnalysis.confidence,
+        reasoning: llmAnalysis.reasoning + ' (percentile-adjusted)',
+        keyFactors: llmAnalysis.keyFactors,
+        weights: llmAnalysis.weights,
+        anomalies: llmAnalysis.anomalies,
+        // Mode name predates other providers; kept so existing clients still match it
+        mode: 'claude-ai-percentile',
+        provider: llmAnalysis.provider,
+        model: llmAnalysis.model,
+        analyzedAt: llmAnalysis.analyzedAt,
+        recommendation: llmAnalysis.recommendation,
+        explanation: explain ? this.explainScore(data, {
+          formula: 'llm',
+          rawScore: llmAnalysis.hypeScore,
+          weights: llmAnalysis.weights,
+          components: this.weightedComponents(data, llmAnalysis.weights),
+          breakdown
+        }) : undefined
+      };
+    }
+
+    const { baseScore, learnedWeights, components } = this.calculateBaseScore(ticker, data);
+
+    // Apply percentile adjustment
+    const breakdown = this.percentileBreakdown(ticker, baseScore, allTickersData);
+
+    return {
+      hypeScore: breakdown.score,
+      rawScore: baseScore,
+      confidence: learnedWeights ? 75 : 50,
+      weights: learnedWeights,
+      mode: learnedWeights ? 'learned-weights-percentile' : 'baseline-percentile',
+      reasoning: 'Percentile-based scoring prevents score inflation',
+      explanation: explain ? this.explainScore(data, {
+        formula: learnedWeights ? 'learned-weights' : 'baseline',
+        rawScore: baseScore,
+        weights: learnedWeights,
+        components,
+        breakdown
+      }) : undefined
+    };
+  }
+}
+
+const SYMBOL_FORMAT = /^[A-Z]{1,5}(\.[A-Z])?$/;
+
+// Local copy of Finnhub's US symbol list, refreshed daily, so ticker
+// validation costs no API calls on the request path
+class SymbolDirectory {
+  constructor(storage) {
+    this.storage = storage;
+    this.symbols = null;
+    this.fetchedAt = null;
+    this.refreshMs = (parseFloat(process.env.SYMBOL_DIRECTORY_REFRESH_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  async load() {
+    const cached = await this.storage.loadSymbolDirectory();
+    if (cached?.symbols?.length) {
+      this.symbols = new Set(cached.symbols);
+      this.fetchedAt = cached.fetchedAt;
+      console.log(`📇 Symbol directory: ${this.symbols.size.toLocaleString()} symbols (cached ${new Date(this.fetchedAt).toISOString()})`);
+    }
+  }
+
+  async refreshIfStale(limiter) {
+    if (this.fetchedAt && Date.now() - this.fetchedAt < this.refreshMs) return;
+
+    const apiKey = process.env.FINNHUB_API_KEY;
+    if (!apiKey) return;
+
+    try {
+      const response = await limiter.execute(() =>
+        fetch(`https://finnhub.io/api/v1/stock/symbol?exchange=US&token=${apiKey}`)
+      );
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const list = await response.json();
+      if (!Array.isArray(list) || list.length === 0) throw new Error('empty symbol list');
+
+      const symbols = list.map(s => s.symbol).filter(Boolean);
+      this.symbols = new Set(symbols);
+      this.fetchedAt = Date.now();
+      await this.storage.saveSymbolDirectory({ fetchedAt: this.fetchedAt, symbols });
+      console.log(`📇 Symbol directory refreshed: ${symbols.length.toLocaleString()} symbols`);
+    } catch (e) {
+      console.error(`❌ Symbol directory refresh failed: ${e.message}`);
+    }
+  }
+
+  // true/false when the directory is loaded, null when we have no list yet
+  has(symbol) {
+    if (!this.symbols) return null;
+    return this.symbols.has(symbol);
+  }
+}
+
+const DEFAULT_WATCHLIST = 'default';
+const WATCHLIST_NAME_FORMAT = /^[a-z0-9_-]{1,32}$/;
+const MAX_WATCHLIST_SYMBOLS = 100;
+
+class WatchlistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Named, persisted ticker lists. The collector tracks the union of all of them.
+class WatchlistStore {
+  constructor(storage) {
+    this.storage = storage;
+    this.lists = new Map();
+    this.symbols = new Set();
+  }
+
+  // Seeds the default list on first run so the tracked universe survives restarts
+  async load(seedSymbols) {
+    const data = await this.storage.loadWatchlists();
+    if (data) {
+      for (const [name, list] of Object.entries(data)) {
+        this.lists.set(name, list);
+      }
+    } else {
+      const now = new Date().toISOString();
+      this.lists.set(DEFAULT_WATCHLIST, {
+        name: DEFAULT_WATCHLIST,
+        symbols: Array.from(seedSymbols),
+        createdAt: now,
+        updatedAt: now
+      });
+      await this.save();
+    }
+    this.rebuild();
+    console.log(`📋 Watchlists: ${this.lists.size} lists, ${this.symbols.size} symbols`);
+  }
+
+  async save() {
+    await this.storage.saveWatchlists(Object.fromEntries(this.lists));
+  }
+
+  rebuild() {
+    this.symbols = new Set(Array.from(this.lists.values()).flatMap(l => l.symbols));
+  }
+
+  has(symbol) {
+    return this.symbols.has(symbol);
+  }
+
+  get(name) {
+    return this.lists.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.lists.values());
+  }
+
+  static normalizeName(name) {
+    const normalized = (name || '').trim().toLowerCase();
+    if (!WATCHLIST_NAME_FORMAT.test(normalized)) {
+      throw new WatchlistError('Watchlist names may only contain letters, digits, "-" and "_" (max 32)');
+    }
+    return normalized;
+  }
+
+  // Creates the list if needed. `validate(symbol)` returns an error string or null.
+  async addSymbols(name, symbols, validate) {
+    const listName = WatchlistStore.normalizeName(name);
+    const now = new Date().toISOString();
+    const list = this.lists.get(listName) || { name: listName, symbols: [], createdAt: now, updatedAt: now };
+
+    const rejected = {};
+    const added = [];
+    for (const raw of symbols) {
+      const symbol = String(raw).trim().toUpperCase();
+      if (list.symbols.includes(symbol)) continue;
+      const error = validate(symbol);
+      if (error) {
+        rejected[symbol] = error;
+        continue;
+      }
+      if (list.symbols.length >= MAX_WATCHLIST_SYMBOLS) {
+        rejected[symbol] = `Watchlist is full (max ${MAX_WATCHLIST_SYMBOLS})`;
+        continue;
+      }
+      list.symbols.push(symbol);
+      added.push(symbol);
+    }
+
+    list.updatedAt = now;
+    this.lists.set(listName, list);
+    this.rebuild();
+    await this.save();
+    return { watchlist: list, added, rejected };
+  }
+
+  async removeSymbols(name, symbols) {
+    const listName = WatchlistStore.normalizeName(name);
+    const list = this.lists.get(listName);
+    if (!list) throw new WatchlistError(`Watchlist "${listName}" not found`, 404);
+
+    const toRemove = new Set(symbols.map(s => String(s).trim().toUpperCase()));
+    const removed = list.symbols.filter(s => toRemove.has(s));
+    list.symbols = list.symbols.filter(s => !toRemove.has(s));
+    list.updatedAt = new Date().toISOString();
+
+    this.rebuild();
+    await this.save();
+    return { watchlist: list, removed };
+  }
+
+  async deleteList(name) {
+    const listName = WatchlistStore.normalizeName(name);
+    if (!this.lists.has(listName)) throw new WatchlistError(`Watchlist "${listName}" not found`, 404);
+    if (listName === DEFAULT_WATCHLIST) throw new WatchlistError('The default watchlist cannot be deleted');
+
+    this.lists.delete(listName);
+    this.rebuild();
+    await this.save();
+  }
+}
+
+// Spots cashtags that keep showing up in scanned posts and StockTwits trending
+// but aren't tracked yet, validates them, and promotes them into tracking.
+// Promoted tickers are demoted again once chatter stays low for the cool-down.
+class TickerDiscovery {
+  constructor(storage) {
+    this.storage = storage;
+    this.candidates = new Map();
+    
+    this.windowMs = (parseFloat(process.env.DISCOVERY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+    this.minMentions = parseInt(process.env.DISCOVERY_MIN_MENTIONS) || 10;
+    this.minTrendingMentions = parseInt(process.env.DISCOVERY_MIN_TRENDING_MENTIONS) || 3;
+    this.demoteBelow = parseInt(process.env.DISCOVERY_DEMOTE_MENTIONS) || 3;
+    this.cooldownMs = (parseFloat(process.env.DISCOVERY_COOLDOWN_HOURS) || 48) * 60 * 60 * 1000;
+    this.maxPromoted = parseInt(process.env.DISCOVERY_MAX_PROMOTED) || 10;
+    this.maxCandidates = 500;
+    this.revalidateMs = 24 * 60 * 60 * 1000;
+  }
+
+  async load() {
+    const data = await this.storage.loadDiscovery();
+    for (const [symbol, candidate] of Object.entries(data.candidates || {})) {
+      this.candidates.set(symbol, {
+        ...candidate,
+        items: new Map(Object.entries(candidate.items || {}))
+      });
+    }
+    const promoted = this.getPromoted();
+    if (promoted.length > 0) {
+      console.log(`🔭 Restored ${promoted.length} discovered tickers: ${promoted.join(', ')}`);
+    }
+  }
+
+  async save() {
+    const candidates = {};
+    for (const [symbol, candidate] of this.candidates.entries()) {
+      candidates[symbol] = { ...candidate, items: Object.fromEntries(candidate.items) };
+    }
+    await this.storage.saveDiscovery({ candidates });
+  }
+
+  getCandidate(symbol) {
+    if (!this.candidates.has(symbol)) {
+      this.candidates.set(symbol, {
+        symbol,
+        status: 'candidate',
+        firstSeen: Date.now(),
+        lastSeen: Date.now(),
+        lastTrendingAt: null,
+        items: new Map(),
+        validation: null,
+        promotedAt: null,
+        demotedAt: null,
+        reason: null
+      });
+    }
+    return this.candidates.get(symbol);
+  }
+
+  // Record that a source item (post, comment, message) carried these cashtags.
+  // Keyed by item id, so re-scanning the same post for every tracked ticker
+  // still counts it once.
+  observe(symbols, itemId, timestamp, source, isTracked) {
+    for (const symbol of symbols) {
+      if (isTracked(symbol) && this.candidates.get(symbol)?.status !== 'promoted') continue;
+      const candidate = this.getCandidate(symbol);
+      candidate.items.set(itemId, { timestamp, source });
+      candidate.lastSeen = Math.max(candidate.lastSeen, timestamp);
+    }
+  }
+
+  observeTrending(symbols, isTracked) {
+    const now = Date.now();
+    for (const symbol of symbols) {
+      if (isTracked(symbol) && this.candidates.get(symbol)?.status !== 'promoted') continue;
+      const candidate = this.getCandidate(symbol);
+      candidate.lastTrendingAt = now;
+      candidate.lastSeen = now;
+    }
+  }
+
+  countRecent(candidate, now = Date.now()) {
+    const cutoff = now - this.windowMs;
+    const bySource = {};
+    let total = 0;
+    for (const item of candidate.items.values()) {
+      if (item.timestamp < cutoff) continue;
+      total++;
+      bySource[item.source] = (bySource[item.source] || 0) + 1;
+    }
+    return { total, bySource };
+  }
+
+  getPromoted() {
+    return Array.from(this.candidates.values())
+      .filter(c => c.status === 'promoted')
+      .map(c => c.symbol);
+  }
+
+  // Called once per collection cycle. `validate(symbol)` resolves to true,
+  // false, or null when validation isn't possible right now.
+  async evaluate({ isTracked, validate, promote, demote }) {
+    const now = Date.now();
+    const cutoff = now - this.windowMs;
+    const trendingFresh = now - 60 * 60 * 1000;
+
+    for (const candidate of this.candidates.values()) {
+      for (const [id, item] of candidate.items.entries()) {
+        if (item.timestamp < cutoff) candidate.items.delete(id);
+      }
+    }
+
+    // Demote promoted tickers whose chatter has stayed low for the cool-down
+    for (const candidate of this.candidates.values()) {
+      if (candidate.status !== 'promoted') continue;
+      const { total } = this.countRecent(candidate, now);
+      if (total >= this.demoteBelow || (candidate.lastTrendingAt || 0) > trendingFresh) {
+        candidate.lastActiveAt = now;
+        continue;
+      }
+      if (now - (candidate.lastActiveAt || candidate.promotedAt) >= this.cooldownMs) {
+        candidate.status = 'demoted';
+        candidate.demotedAt = now;
+        candidate.reason = `Fewer than ${this.demoteBelow} mentions in ${this.windowMs / 3600000}h for ${this.cooldownMs / 3600000}h`;
+        demote(candidate.symbol);
+        console.log(`🔭 Demoted ${candidate.symbol}: ${candidate.reason}`);
+      }
+    }
+
+    let promotedCount = this.getPromoted().length;
+    const ranked = Array.from(this.candidates.values())
+      .filter(c => c.status !== 'promoted' && !isTracked(c.symbol))
+      .map(c => ({ candidate: c, recent: this.countRecent(c, now) }))
+      .sort((a, b) => b.recent.total - a.recent.total);
+
+    for (const { candidate, recent } of ranked) {
+      if (promotedCount >= this.maxPromoted) break;
+
+      const trending = (candidate.lastTrendingAt || 0) > trendingFresh;
+      const threshold = trending ? this.minTrendingMentions : this.minMentions;
+      if (recent.total < threshold) continue;
+
+      // A demoted ticker needs to sit out its own cool-down before coming back
+      if (candidate.status === 'demoted' && now - candidate.demotedAt < this.cooldownMs) continue;
+
+      if (!candidate.validation || now - candidate.validation.checkedAt > this.revalidateMs) {
+        const valid = await validate(candidate.symbol);
+        if (valid === null) continue;
+        candidate.validation = { valid, checkedAt: now };
+      }
+      if (!candidate.validation.valid) {
+        candidate.status = 'rejected';
+        candidate.reason = 'Not a known listed symbol';
+        continue;
+      }
+
+      const sources = Object.entries(recent.bySource).map(([source, n]) => `${source}: ${n}`).join(', ');
+      candidate.status = 'promoted';
+      candidate.promotedAt = now;
+      candidate.lastActiveAt = now;
+      candidate.reason = `${recent.total} distinct mentions in ${this.windowMs / 3600000}h (${sources})${trending ? ' + StockTwits trending' : ''}`;
+      promote(candidate.symbol);
+      promotedCount++;
+      console.log(`🔭 Promoted ${candidate.symbol}: ${candidate.reason}`);
+    }
+
+    // Keep memory bounded: forget the stalest non-promoted candidates
+    if (this.candidates.size > this.maxCandidates) {
+      const stale = Array.from(this.candidates.values())
+        .filter(c => c.status !== 'promoted')
+        .sort((a, b) => a.lastSeen - b.lastSeen)
+        .slice(0, this.candidates.size - this.maxCandidates);
+      for (const candidate of stale) this.candidates.delete(candidate.symbol);
+    }
+  }
+
+  getReport(limit = 50) {
+    const now = Date.now();
+    return Array.from(this.candidates.values())
+      .map(c => {
+        const recent = this.countRecent(c, now);
+        return {
+          symbol: c.symbol,
+          status: c.status,
+          mentions: recent.total,
+          bySource: recent.bySource,
+          trending: !!c.lastTrendingAt && c.lastTrendingAt > now - 60 * 60 * 1000,
+          reason: c.reason,
+          validation: c.validation,
+          firstSeen: new Date(c.firstSeen).toISOString(),
+          lastSeen: new Date(c.lastSeen).toISOString(),
+          promotedAt: c.promotedAt ? new Date(c.promotedAt).toISOString() : null,
+          demotedAt: c.demotedAt ? new Date(c.demotedAt).toISOString() : null
+        };
+      })
+      .filter(c => c.mentions > 0 || c.status !== 'candidate')
+      .sort((a, b) => (b.status === 'promoted') - (a.status === 'promoted') || b.mentions - a.mentions)
+      .slice(0, limit);
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+// "30m", "4h" or "2d" in milliseconds; NaN for anything else
+function parseDuration(value) {
+  const match = /^(\d+)(m|h|d)$/.exec(value || '');
+  if (!match) return NaN;
+  return parseInt(match[1]) * { m: 60 * 1000, h: HOUR_MS, d: 24 * HOUR_MS }[match[2]];
+}
+
+// Flags tickers whose mention rate is unusual for *them*, rather than relative
+// to other tickers. The last hour's mentions are compared with the same hour
+// of the week over previous weeks (seasonal z-score). Without enough weekly
+// history it falls back to the same hour on previous days, then to the
+// previous 24 hours. Hours are UTC.
+class SpikeDetector {
+  constructor(aiCalc) {
+    this.aiCalc = aiCalc;
+    this.state = new Map();
+    
+    this.windowMs = HOUR_MS;
+    this.threshold = parseFloat(process.env.SPIKE_Z_THRESHOLD) || 3;
+    // A spike ends once the z-score falls below this, so it doesn't flap
+    this.endThreshold = parseFloat(process.env.SPIKE_END_Z_THRESHOLD) || this.threshold / 2;
+    this.minMentions = parseInt(process.env.SPIKE_MIN_MENTIONS) || 5;
+    this.baselineWeeks = parseInt(process.env.SPIKE_BASELINE_WEEKS) || 8;
+    this.minSamples = parseInt(process.env.SPIKE_MIN_SAMPLES) || 3;
+    this.onsetStepMs = 15 * 60 * 1000;
+    this.onsetLookbackMs = (parseFloat(process.env.SPIKE_ONSET_LOOKBACK_HOURS) || 6) * HOUR_MS;
+  }
+
+  // Per-minute mention counts by source group, covering every window score()
+  // and findOnset() can read back from endMs. Built in one pass over the
+  // ticker's events and buckets; the windows are then summed from it.
+  buildSeries(ticker, endMs) {
+    const groupOf = {};
+    for (const [group, sources] of Object.entries(SOURCE_GROUPS)) {
+      for (const source of sources) groupOf[source] = group;
+    }
+    const reach = Math.max(this.baselineWeeks * WEEK_MS, 14 * 24 * HOUR_MS) + this.onsetLookbackMs + this.windowMs;
+    const bySource = this.aiCalc.getMentionSeries(ticker, endMs - reach, endMs, MINUTE_MS, Object.keys(groupOf));
+    
+    const series = new Map();
+    for (const [start, counts] of bySource.entries()) {
+      const byGroup = {};
+      for (const [source, count] of Object.entries(counts)) {
+        byGroup[groupOf[source]] = (byGroup[groupOf[source]] || 0) + count;
+      }
+      series.set(start, byGroup);
+    }
+    return series;
+  }
+
+  // Mentions per source group in the window ending at endMs, plus the total
+  countWindow(series, endMs) {
+    const counts = { total: 0 };
+    for (const group of Object.keys(SOURCE_GROUPS)) counts[group] = 0;
+    const firstMinute = Math.ceil((endMs - this.windowMs) / MINUTE_MS) * MINUTE_MS;
+    for (let start = firstMinute; start < endMs; start += MINUTE_MS) {
+      const bucket = series.get(start);
+      if (!bucket) continue;
+      for (const [group, count] of Object.entries(bucket)) {
+        counts[group] += count;
+        counts.total += count;
+      }
+    }
+    return counts;
+  }
+
+  // Window end times to compare against, most seasonal first
+  sampleEnds(endMs, firstSeen) {
+    const collect = (stepMs, steps) => {
+      const ends = [];
+      for (let k = 1; k <= steps; k++) {
+        const end = endMs - k * stepMs;
+        if (end - this.windowMs >= firstSeen) ends.push(end);
+      }
+      return ends;
+    };
+    
+    const weekly = collect(WEEK_MS, this.baselineWeeks);
+    if (weekly.length >= this.minSamples) return { seasonality: 'hour_of_week', ends: weekly };
+    const daily = collect(24 * HOUR_MS, 14);
+    if (daily.length >= this.minSamples) return { seasonality: 'hour_of_day', ends: daily };
+    return { seasonality: 'recent', ends: collect(HOUR_MS, 24) };
+  }
+
+  // Seasonal z-score of the window ending at endMs, overall and per source
+  score(series, endMs, firstSeen) {
+    const current = this.countWindow(series, endMs);
+    const { seasonality, ends } = this.sampleEnds(endMs, firstSeen);
+    const samples = ends.map(end => this.countWindow(series, end));
+    
+    const compare = (key) => {
+      if (samples.length < this.minSamples) return { current: current[key], expected: null, zScore: null };
+      const values = samples.map(sample => sample[key]);
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+      // Counts are roughly Poisson, so quiet baselines shouldn't yield huge z-scores
+      const spread = Math.max(std, Math.sqrt(mean), 1);
+      return {
+        current: current[key],
+        expected: Math.round(mean * 10) / 10,
+        zScore: Math.round(((current[key] - mean) / spread) * 100) / 100
+      };
+    };
+    
+    const total = compare('total');
+    const bySource = {};
+    for (const group of Object.keys(SOURCE_GROUPS)) bySource[group] = compare(group);
+    
+    return { ...total, seasonality, samples: samples.length, bySource };
+  }
+
+  // Earliest end time of the current run of elevated windows, i.e. roughly
+  // when the rolling hour first crossed the threshold
+  findOnset(series, endMs, firstSeen) {
+    let onset = endMs;
+    for (let end = endMs - this.onsetStepMs; end > endMs - this.onsetLookbackMs; end -= this.onsetStepMs) {
+      const { zScore } = this.score(series, end, firstSeen);
+      if (zScore === null || zScore < this.threshold) break;
+      onset = end;
+    }
+    return onset;
+  }
+
+  evaluate(ticker, now = Date.now()) {
+    // Windows only count live sources, so backfilled history can't be a baseline
+    const firstSeen = this.aiCalc.getFirstMentionTime(ticker, Object.values(SOURCE_GROUPS).flat());
+    if (firstSeen === null) return null;
+    
+    const series = this.buildSeries(ticker, now);
+    const result = this.score(series, now, firstSeen);
+    const elevated = result.zScore !== null && result.zScore >= this.threshold && result.current >= this.minMentions;
+    let state = this.state.get(ticker);
+    
+    if (!state?.active && elevated) {
+      state = { active: true, onset: this.findOnset(series, now, firstSeen), peakZScore: result.zScore, peakAt: now };
+      console.log(`📈 Spike: ${ticker} z=${result.zScore} (${result.current} vs ~${result.expected}/h)`);
+    } else if (state?.active && (result.zScore === null || result.zScore < this.endThreshold)) {
+      state = { active: false, onset: null, peakZScore: null, peakAt: null };
+    } else if (state?.active && result.zScore > state.peakZScore) {
+      state.peakZScore = result.zScore;
+      state.peakAt = now;
+    }
+    state = state || { active: false, onset: null, peakZScore: null, peakAt: null };
+    
+    const report = {
+      spiking: state.active,
+      zScore: result.zScore,
+      ratio: result.expected !== null ? Math.round((result.current / Math.max(result.expected, 1)) * 100) / 100 : null,
+      current: result.current,
+      expected: result.expected,
+      onset: state.onset ? new Date(state.onset).toISOString() : null,
+      peakZScore: state.peakZScore,
+      peakAt: state.peakAt ? new Date(state.peakAt).toISOString() : null,
+      baseline: { seasonality: result.seasonality, samples: result.samples },
+      bySource: result.bySource,
+      evaluatedAt: new Date(now).toISOString()
+    };
+    state.report = report;
+    this.state.set(ticker, state);
+    return report;
+  }
+
+  // Re-scores every ticker; run once per collection cycle
+  update(tickers) {
+    const now = Date.now();
+    for (const ticker of tickers) this.evaluate(ticker, now);
+    for (const ticker of this.state.keys()) {
+      if (!tickers.includes(ticker)) this.state.delete(ticker);
+    }
+  }
+
+  // Latest report for a ticker, scored on demand if it hasn't been yet
+  get(ticker) {
+    return this.state.get(ticker)?.report || this.evaluate(ticker);
+  }
+
+  list() {
+    return Array.from(this.state.entries()).map(([symbol, state]) => ({ symbol, ...state.report }));
+  }
+}
+
+// Ranks with ties sharing their average rank
+function rankValues(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+// Spearman rank correlation, or null with fewer than 3 pairs or no variance
+function spearman(xs, ys) {
+  if (xs.length < 3) return null;
+  const rx = rankValues(xs);
+  const ry = rankValues(ys);
+  const mean = (rx.length + 1) / 2;
+  let cov = 0, vx = 0, vy = 0;
+  for (let i = 0; i < rx.length; i++) {
+    cov += (rx[i] - mean) * (ry[i] - mean);
+    vx += (rx[i] - mean) ** 2;
+    vy += (ry[i] - mean) ** 2;
+  }
+  if (vx === 0 || vy === 0) return null;
+  return Math.round((cov / Math.sqrt(vx * vy)) * 1000) / 1000;
+}
+
+const average = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// Replays stored history through the non-LLM scoring path (base score +
+// percentile rank + velocity) at hourly points and measures what happened
+// to price and volume over the following horizon. Learned weights are the
+// current ones, so results describe today's scoring applied to the past.
+class Backtester {
+  constructor(aiCalc) {
+    this.aiCalc = aiCalc;
+    this.maxObservations = parseInt(process.env.BACKTEST_MAX_OBSERVATIONS) || 20000;
+    this.maxPriceGapMs = (parseFloat(process.env.BACKTEST_MAX_PRICE_GAP_HOURS) || 2) * HOUR_MS;
+  }
+
+  // Last snapshot at or before `time`, if it isn't older than the allowed gap
+  priceAt(history, time) {
+    let lo = 0, hi = history.length - 1, found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (history[mid].timestamp <= time) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    const snapshot = found >= 0 ? history[found] : null;
+    return snapshot && time - snapshot.timestamp <= this.maxPriceGapMs && snapshot.price > 0 ? snapshot : null;
+  }
+
+  // The inputs the scorer would have seen at each hourly point, plus what
+  // price and volume did over the following horizon. Mention inputs are the
+  // decay-weighted intensity at that point, as in live scoring. Points
+  // without price snapshots at both ends are skipped.
+  collectPoints({ tickers, fromMs, toMs, horizonMs, stepMs, windowMs, halfLives = this.aiCalc.halfLives, maxPoints = this.maxObservations }) {
+    const histories = new Map();
+    let firstPrice = Infinity;
+    for (const ticker of tickers) {
+      const history = [...(this.aiCalc.priceHistory.get(ticker) || [])].sort((a, b) => a.timestamp - b.timestamp);
+      histories.set(ticker, history);
+      if (history.length > 0) firstPrice = Math.min(firstPrice, history[0].timestamp);
+    }
+    
+    // Nothing to score before the oldest price snapshot
+    const start = Math.ceil(Math.max(fromMs, firstPrice === Infinity ? fromMs : firstPrice) / HOUR_MS) * HOUR_MS;
+    const end = Math.min(toMs, Date.now() - horizonMs);
+    const times = [];
+    for (let t = start; t <= end; t += stepMs) times.push(t);
+    if (times.length * tickers.length > maxPoints) {
+      throw new RangeError(`Too many points (${times.length * tickers.length}, max ${maxPoints}); use a larger step or shorter range`);
+    }
+    
+    // Hourly mention counts per ticker for the velocity bonus, read once up front
+    const series = new Map();
+    for (const ticker of tickers) {
+      series.set(ticker, this.aiCalc.getMentionSeries(ticker, start - 2 * HOUR_MS, end, HOUR_MS));
+    }
+    const countHours = (ticker, t, hours, sources) => {
+      let total = 0;
+      for (let h = 1; h <= hours; h++) {
+        const counts = series.get(ticker).get(t - h * HOUR_MS);
+        if (!counts) continue;
+        for (const source of sources) total += counts[source] || 0;
+      }
+      return total;
+    };
+    const intensityAt = (ticker, t, group) => {
+      const halfLifeMs = group === 'news' ? halfLives.news : halfLives.social;
+      return this.aiCalc.getMentionIntensity(ticker, halfLifeMs, SOURCE_GROUPS[group], { now: t });
+    };
+    
+    const points = [];
+    for (const t of times) {
+      for (const ticker of tickers) {
+        const history = histories.get(ticker);
+        const current = this.priceAt(history, t);
+        const future = this.priceAt(history, t + horizonMs);
+        if (!current || !future || future.timestamp <= t) continue;
+        
+        const previous = this.priceAt(history, t - windowMs);
+        const data = {
+          reddit: intensityAt(ticker, t, 'reddit'),
+          stocktwits: intensityAt(ticker, t, 'stocktwits'),
+          bluesky: intensityAt(ticker, t, 'bluesky'),
+          news: intensityAt(ticker, t, 'news'),
+          volume: current.volume || 0,
+          priceChangePercent: previous ? ((current.price - previous.price) / previous.price) * 100 : 0
+        };
+        const last1h = countHours(ticker, t, 1, MENTION_SOURCES);
+        const last2h = countHours(ticker, t, 2, MENTION_SOURCES);
+        
+        points.push({
+          ticker,
+          time: t,
+          data,
+          velocityBonus: last1h > last2h - last1h ? 5 : 0,
+          forwardReturn: ((future.price - current.price) / current.price) * 100,
+          volumeChange: current.volume > 0 && future.volume > 0 ? ((future.volume - current.volume) / current.volume) * 100 : null
+        });
+      }
+    }
+    
+    return { periods: times.length, points };
+  }
+
+  run({ highScore, ...range }) {
+    const { periods, points } = this.collectPoints(range);
+    
+    // Each point is ranked against the other tickers at the same time
+    const byTime = new Map();
+    for (const point of points) {
+      if (!byTime.has(point.time)) byTime.set(point.time, new Map());
+      byTime.get(point.time).set(point.ticker, point.data);
+    }
+    
+    const observations = points.map(({ ticker, time, data, velocityBonus, forwardReturn, volumeChange }) => {
+      const { baseScore } = this.aiCalc.calculateBaseScore(ticker, data);
+      return {
+        ticker,
+        time,
+        score: this.aiCalc.calculatePercentileScore(ticker, baseScore, byTime.get(time), velocityBonus),
+        forwardReturn,
+        volumeChange
+      };
+    });
+    
+    return this.summarize(observations, periods, highScore);
+  }
+
+  summarize(observations, periods, highScore) {
+    const absReturns = observations.map(o => Math.abs(o.forwardReturn)).sort((a, b) => a - b);
+    const medianAbsReturn = absReturns.length > 0 ? absReturns[Math.floor(absReturns.length / 2)] : 0;
+    
+    // Share of observations where price rose, moved more than the median
+    // absolute move, and volume rose
+    const hitRates = (group) => {
+      const withVolume = group.filter(o => o.volumeChange !== null);
+      return {
+        count: group.length,
+        priceUp: group.length > 0 ? round2(group.filter(o => o.forwardReturn > 0).length / group.length) : null,
+        bigMove: group.length > 0 ? round2(group.filter(o => Math.abs(o.forwardReturn) > medianAbsReturn).length / group.length) : null,
+        volumeUp: withVolume.length > 0 ? round2(withVolume.filter(o => o.volumeChange > 0).length / withVolume.length) : null
+      };
+    };
+    
+    const withVolume = observations.filter(o => o.volumeChange !== null);
+    const scores = observations.map(o => o.score);
+    
+    // Rank correlation within each period, averaged
+    const byTime = new Map();
+    for (const o of observations) {
+      if (!byTime.has(o.time)) byTime.set(o.time, []);
+      byTime.get(o.time).push(o);
+    }
+    const crossSectional = { forwardReturn: [], absForwardReturn: [] };
+    for (const group of byTime.values()) {
+      const r = spearman(group.map(o => o.score), group.map(o => o.forwardReturn));
+      const a = spearman(group.map(o => o.score), group.map(o => Math.abs(o.forwardReturn)));
+      if (r !== null) crossSectional.forwardReturn.push(r);
+      if (a !== null) crossSectional.absForwardReturn.push(a);
+    }
+    
+    // Equal-count buckets by score, lowest first
+    const sorted = [...observations].sort((a, b) => a.score - b.score);
+    const bucketCount = Math.min(10, sorted.length);
+    const deciles = [];
+    for (let d = 0; d < bucketCount; d++) {
+      const group = sorted.slice(Math.floor((d * sorted.length) / bucketCount), Math.floor(((d + 1) * sorted.length) / bucketCount));
+      const returns = group.map(o => o.forwardReturn).sort((a, b) => a - b);
+      const volumes = group.filter(o => o.volumeChange !== null).map(o => o.volumeChange);
+      deciles.push({
+        decile: d + 1,
+        count: group.length,
+        minScore: group[0].score,
+        maxScore: group[group.length - 1].score,
+        avgReturn: round2(average(returns)),
+        medianReturn: round2(returns[Math.floor(returns.length / 2)]),
+        avgAbsReturn: round2(average(returns.map(Math.abs))),
+        avgVolumeChange: round2(average(volumes)),
+        priceUp: round2(returns.filter(r => r > 0).length / returns.length)
+      });
+    }
+    
+    return {
+      observations: observations.length,
+      periods,
+      tickersWithData: new Set(observations.map(o => o.ticker)).size,
+      medianAbsReturn: round2(medianAbsReturn),
+      hitRates: {
+        highScore: { threshold: highScore, ...hitRates(observations.filter(o => o.score >= highScore)) },
+        all: hitRates(observations)
+      },
+      rankCorrelation: {
+        forwardReturn: spearman(scores, observations.map(o => o.forwardReturn)),
+        absForwardReturn: spearman(scores, observations.map(o => Math.abs(o.forwardReturn))),
+        volumeChange: spearman(withVolume.map(o => o.score), withVolume.map(o => o.volumeChange)),
+        crossSectional: {
+          forwardReturn: round2(average(crossSectional.forwardReturn)),
+          absForwardReturn: round2(average(crossSectional.absForwardReturn)),
+          periods: crossSectional.forwardReturn.length
+        }
+      },
+      deciles
+    };
+  }
+}
+
+const WEIGHT_FEATURES = ['reddit', 'stocktwits', 'bluesky', 'news', 'volume', 'price'];
+
+// Fits source weights from stored history, so learned-weights scoring works
+// without an LLM. Features are the terms calculateBaseScore multiplies by
+// each weight; the target is how abnormal the following horizon was for that
+// ticker (z-scores of the absolute price move and of the volume change).
+// Weights are non-negative least squares coefficients scaled to sum to 1:
+// per ticker when it has enough history, otherwise from a pooled global fit.
+class WeightLearner {
+  constructor(aiCalc, backtester) {
+    this.aiCalc = aiCalc;
+    this.backtester = backtester;
+    this.enabled = process.env.WEIGHT_LEARNER_ENABLED !== 'false';
+    this.intervalMs = (parseFloat(process.env.WEIGHT_LEARNER_INTERVAL_HOURS) || 6) * HOUR_MS;
+    this.horizon = process.env.WEIGHT_LEARNER_HORIZON || '4h';
+    this.lookbackMs = (parseFloat(process.env.WEIGHT_LEARNER_LOOKBACK_DAYS) || 30) * 24 * HOUR_MS;
+    this.minSamples = parseInt(process.env.WEIGHT_LEARNER_MIN_SAMPLES) || 100;
+    // Recent LLM weights win over local ones
+    this.llmWeightsTtlMs = 7 * 24 * HOUR_MS;
+    this.lastRun = null;
+  }
+
+  features(data) {
+    return [
+      (data.reddit || 0) * 50,
+      (data.stocktwits || 0) * 50,
+      (data.bluesky || 0) * 50,
+      (data.news || 0) * 50,
+      Math.log10((data.volume || 0) / 1000000 + 1) * 30,
+      Math.abs(data.priceChangePercent || 0) * 5
+    ];
+  }
+
+  // Per-point target: mean of the ticker-relative z-scores of |return| and
+  // volume change
+  targets(points) {
+    const stats = new Map();
+    const zScorer = (values) => {
+      const mean = average(values) ?? 0;
+      const sd = Math.sqrt(average(values.map(v => (v - mean) ** 2)) ?? 0) || 1;
+      return (v) => (v - mean) / sd;
+    };
+    for (const ticker of new Set(points.map(p => p.ticker))) {
+      const own = points.filter(p => p.ticker === ticker);
+      stats.set(ticker, {
+        move: zScorer(own.map(p => Math.abs(p.forwardReturn))),
+        volume: zScorer(own.filter(p => p.volumeChange !== null).map(p => p.volumeChange))
+      });
+    }
+    
+    return points.map(p => {
+      const z = stats.get(p.ticker);
+      const parts = [z.move(Math.abs(p.forwardReturn))];
+      if (p.volumeChange !== null) parts.push(z.volume(p.volumeChange));
+      return average(parts);
+    });
+  }
+
+  // Non-negative least squares (with intercept) by coordinate descent
+  fit(rows, ys) {
+    const k = WEIGHT_FEATURES.length;
+    const means = WEIGHT_FEATURES.map((_, j) => average(rows.map(r => r[j])));
+    const yMean = average(ys);
+    const gram = Array.from({ length: k }, () => new Array(k).fill(0));
+    const xty = new Array(k).fill(0);
+    
+    rows.forEach((row, i) => {
+      const x = row.map((v, j) => v - means[j]);
+      for (let a = 0; a < k; a++) {
+        xty[a] += x[a] * (ys[i] - yMean);
+        for (let b = 0; b < k; b++) gram[a][b] += x[a] * x[b];
+      }
+    });
     
-    if (allScores.length === 0) {
-      return Math.min(baseScore, 85);
+    const coefficients = new Array(k).fill(0);
+    for (let iteration = 0; iteration < 200; iteration++) {
+      for (let j = 0; j < k; j++) {
+        if (gram[j][j] <= 0) continue;
+        let residual = xty[j];
+        for (let b = 0; b < k; b++) if (b !== j) residual -= gram[j][b] * coefficients[b];
+        coefficients[j] = Math.max(0, residual / gram[j][j]);
+      }
     }
     
-    allScores.sort((a, b) => a - b);
+    const predict = (row) => row.reduce((sum, v, j) => sum + (v - means[j]) * coefficients[j], yMean);
+    const sse = rows.reduce((sum, row, i) => sum + (ys[i] - predict(row)) ** 2, 0);
+    const sst = ys.reduce((sum, y) => sum + (y - yMean) ** 2, 0);
+    return { coefficients, predict, r2: sst > 0 ? 1 - sse / sst : 0 };
+  }
+
+  // Fits on the older 80% and checks rank correlation on the newest 20%,
+  // then refits on everything. Returns null when nothing predictive was found.
+  learn(points, ys) {
+    const order = points.map((p, i) => i).sort((a, b) => points[a].time - points[b].time);
+    const rows = order.map(i => this.features(points[i].data));
+    const targets = order.map(i => ys[i]);
     
-    const lowerScores = allScores.filter(s => s < baseScore).length;
-    const percentile = (lowerScores / allScores.length) * 100;
+    const split = Math.floor(rows.length * 0.8);
+    let holdoutSpearman = null;
+    if (rows.length - split >= 10) {
+      const { predict } = this.fit(rows.slice(0, split), targets.slice(0, split));
+      holdoutSpearman = spearman(rows.slice(split).map(predict), targets.slice(split));
+    }
     
-    // Add velocity component (is hype accelerating?)
-    const mentionEvents = this.mentionEvents.get(ticker) || [];
-    const last1h = mentionEvents.filter(e => e.timestamp > Date.now() - 3600000).length;
-    const last2h = mentionEvents.filter(e => e.timestamp > Date.now() - 7200000).length;
+    const { coefficients, r2 } = this.fit(rows, targets);
+    const total = coefficients.reduce((a, b) => a + b, 0);
+    if (total <= 0 || (holdoutSpearman !== null && holdoutSpearman <= 0)) return null;
     
-    const velocityBonus = (last1h > (last2h - last1h)) ? 5 : 0;
+    const weights = {};
+    WEIGHT_FEATURES.forEach((feature, j) => { weights[feature] = Math.round((coefficients[j] / total) * 10000) / 10000; });
+    return { weights, samples: rows.length, r2: Math.round(r2 * 1000) / 1000, holdoutSpearman };
+  }
+
+  // Existing weights we may replace: none, our own, or stale LLM ones
+  canReplace(existing, now) {
+    if (!existing || existing.source === 'local') return true;
+    const updatedAt = Date.parse(existing.updatedAt) || 0;
+    return now - updatedAt > this.llmWeightsTtlMs;
+  }
+
+  run() {
+    if (!this.enabled) return null;
+    const started = Date.now();
+    const tickers = Array.from(this.aiCalc.priceHistory.keys());
+    const { points } = this.backtester.collectPoints({
+      tickers,
+      fromMs: started - this.lookbackMs,
+      toMs: started,
+      horizonMs: parseDuration(this.horizon),
+      stepMs: HOUR_MS,
+      windowMs: HOUR_MS,
+      maxPoints: Infinity
+    });
     
-    // Scale to 0-85 range, with velocity bonus
-    let finalScore = percentile * 0.85;
-    finalScore += velocityBonus;
+    const report = { ranAt: new Date(started).toISOString(), horizon: this.horizon, samples: points.length, perTicker: 0, global: 0, skipped: 0 };
+    this.lastRun = report;
+    if (points.length < this.minSamples) {
+      console.log(`🎓 Weight learner: only ${points.length} samples, need ${this.minSamples}`);
+      return report;
+    }
     
-    // Only exceptional cases hit 90+
-    if (percentile > 98 && velocityBonus === 5) {
-      finalScore = Math.min(finalScore + 10, 98);
+    const ys = this.targets(points);
+    const global = this.learn(points, ys);
+    report.globalFit = global ? { samples: global.samples, r2: global.r2, holdoutSpearman: global.holdoutSpearman } : null;
+    
+    for (const ticker of tickers) {
+      const indexes = points.map((p, i) => i).filter(i => points[i].ticker === ticker);
+      if (indexes.length === 0) continue;
+      if (!this.canReplace(this.aiCalc.aiWeights.get(ticker), started)) {
+        report.skipped++;
+        continue;
+      }
+      
+      let result = null;
+      let scope = 'ticker';
+      if (indexes.length >= this.minSamples) {
+        result = this.learn(indexes.map(i => points[i]), indexes.map(i => ys[i]));
+      }
+      if (!result) {
+        result = global;
+        scope = 'global';
+      }
+      if (!result) continue;
+      
+      this.aiCalc.aiWeights.set(ticker, {
+        ...result.weights,
+        source: 'local',
+        updatedAt: new Date(started).toISOString(),
+        fit: {
+          scope,
+          samples: result.samples,
+          r2: result.r2,
+          holdoutSpearman: result.holdoutSpearman,
+          target: 'abnormal price move / volume change',
+          horizon: this.horizon
+        }
+      });
+      report[scope === 'ticker' ? 'perTicker' : 'global']++;
     }
     
-    return Math.round(finalScore);
+    console.log(`🎓 Weight learner: ${report.perTicker} per-ticker, ${report.global} global fits from ${points.length} samples (${Date.now() - started}ms)`);
+    return report;
   }
+}
 
-  async calculateWithClaude(ticker, data) {
-    if (!this.claudeAvailable) {
-      return null;
+// Spends LLM tokens in the background instead of on the request path. After
+// each collection it ranks tickers by how much their baseline score moved
+// since their last analysis, with spikes and suspicious-activity jumps first,
+// and analyzes the top ones in batches while today's (UTC) budget lasts.
+// Results are cached per ticker for the TTL; calculateHype only reads them.
+class AIScheduler {
+  constructor(collector) {
+    this.collector = collector;
+    this.aiCalc = collector.aiCalc;
+    this.dailyTokenBudget = parseInt(process.env.AI_DAILY_TOKEN_BUDGET) || 200000;
+    this.dailyCostBudget = parseFloat(process.env.AI_DAILY_COST_BUDGET) || null;
+    this.inputCostPerMillion = parseFloat(process.env.AI_INPUT_COST_PER_MILLION_TOKENS) || 0;
+    this.outputCostPerMillion = parseFloat(process.env.AI_OUTPUT_COST_PER_MILLION_TOKENS) || 0;
+    this.batchSize = parseInt(process.env.AI_BATCH_SIZE) || 5;
+    this.maxBatchesPerCycle = parseInt(process.env.AI_MAX_BATCHES_PER_CYCLE) || 2;
+    this.ttlMs = (parseFloat(process.env.AI_ANALYSIS_TTL_MINUTES) || 60) * 60 * 1000;
+    this.minScoreChange = parseFloat(process.env.AI_MIN_SCORE_CHANGE) || 10;
+    this.suspiciousRatio = parseFloat(process.env.AI_SUSPICIOUS_RATIO) || 0.3;
+    // Reserved per ticker for the reply when checking the budget up front
+    this.outputTokensPerTicker = 400;
+    this.usage = new Map();
+    this.historyDays = 30;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  async load() {
+    const data = await this.aiCalc.storage.loadAIScheduler();
+    for (const [ticker, analysis] of Object.entries(data.analyses || {})) {
+      this.aiCalc.llmAnalyses.set(ticker, analysis);
     }
+    for (const [day, usage] of Object.entries(data.usage || {})) {
+      this.usage.set(day, usage);
+    }
+    this.lastRun = data.lastRun || null;
+  }
 
-    try {
-      const historicalData = {
-        mentionEvents: this.mentionEvents.get(ticker)?.slice(-50) || [],
-        priceHistory: this.priceHistory.get(ticker)?.slice(-20) || [],
-        previousWeights: this.aiWeights.get(ticker) || null
-      };
+  async save() {
+    await this.aiCalc.storage.saveAIScheduler({
+      analyses: Object.fromEntries(this.aiCalc.llmAnalyses),
+      usage: Object.fromEntries(this.usage),
+      lastRun: this.lastRun
+    });
+  }
+
+  today(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+  }
+
+  cost(inputTokens, outputTokens) {
+    return (inputTokens * this.inputCostPerMillion + outputTokens * this.outputCostPerMillion) / 1e6;
+  }
+
+  usageFor(day) {
+    if (!this.usage.has(day)) {
+      this.usage.set(day, { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0, failures: 0, tickersAnalyzed: 0 });
+      const days = Array.from(this.usage.keys()).sort();
+      for (const old of days.slice(0, -this.historyDays)) this.usage.delete(old);
+    }
+    return this.usage.get(day);
+  }
+
+  // Whether a call of this estimated size still fits today's budget
+  fitsBudget(inputTokens, outputTokens, now = Date.now()) {
+    const usage = this.usageFor(this.today(now));
+    if (usage.inputTokens + usage.outputTokens + inputTokens + outputTokens > this.dailyTokenBudget) return false;
+    if (this.dailyCostBudget !== null && usage.cost + this.cost(inputTokens, outputTokens) > this.dailyCostBudget) return false;
+    return true;
+  }
+
+  // Charged per LLM call as it completes, so retries count against the budget
+  recordUsage({ inputTokens, outputTokens }) {
+    const usage = this.usageFor(this.today());
+    usage.inputTokens += inputTokens;
+    usage.outputTokens += outputTokens;
+    usage.cost = Math.round((usage.cost + this.cost(inputTokens, outputTokens)) * 1e6) / 1e6;
+    usage.calls++;
+  }
 
-      const recentInsights = this.aiInsights.slice(-5);
+  recordOutcome({ failed = false, tickers = 0 } = {}) {
+    const usage = this.usageFor(this.today());
+    if (failed) usage.failures++;
+    usage.tickersAnalyzed += tickers;
+  }
 
-      const prompt = `You are an expert financial AI analyzing stock market hype. Calculate a hype score (0-100) for ${ticker}.
+  // Tickers worth (re)analyzing, highest priority first
+  prioritize(inputs, now = Date.now()) {
+    const candidates = [];
+    
+    for (const [ticker, data] of inputs.entries()) {
+      const cached = this.aiCalc.llmAnalyses.get(ticker);
+      const baselineScore = this.aiCalc.calculateBaselineHype(ticker, data);
+      const spike = this.collector.spikes.get(ticker);
+      const analyzedAt = cached ? Date.parse(cached.analyzedAt) : 0;
+      
+      const reasons = [];
+      if (spike?.spiking && Date.parse(spike.onset) > analyzedAt) reasons.push('spike');
+      if (data.suspiciousRatio >= this.suspiciousRatio && (cached?.suspiciousRatio ?? 0) < this.suspiciousRatio) {
+        reasons.push('suspicious');
+      }
+      
+      const scoreChange = cached ? Math.abs(baselineScore - cached.baselineScore) : baselineScore;
+      if (!cached) {
+        if (baselineScore > 0) reasons.push('new');
+      } else if (scoreChange >= this.minScoreChange) {
+        reasons.push('score-change');
+      } else if (Date.parse(cached.expiresAt) <= now && baselineScore > 0) {
+        reasons.push('expired');
+      }
+      if (reasons.length === 0) continue;
+      
+      const anomaly = reasons.includes('spike') || reasons.includes('suspicious');
+      candidates.push({
+        ticker,
+        data,
+        baselineScore,
+        reasons,
+        priority: Math.round((scoreChange + (anomaly ? 100 : 0)) * 100) / 100
+      });
+    }
+    
+    return candidates.sort((a, b) => b.priority - a.priority);
+  }
 
-**Current Data (last hour):**
+  buildPrompt(batch) {
+    const sections = batch.map(({ ticker, data }) => {
+      const previous = this.aiCalc.llmAnalyses.get(ticker);
+      return `### ${ticker}
 - Reddit mentions: ${data.reddit}
 - StockTwits mentions: ${data.stocktwits}
 - Bluesky mentions: ${data.bluesky}
 - News articles: ${data.news}
 - Trading volume: ${data.volume?.toLocaleString() || 'N/A'}
 - Price change: ${data.priceChangePercent?.toFixed(2)}%
-- Time: ${new Date().toLocaleString()}
-- Market: ${data.marketOpen ? 'OPEN' : 'CLOSED'}
+- Suspicious activity: ${Math.round((data.suspiciousRatio || 0) * 100)}% of social posts flagged (duplicate text, dominant or new accounts)
+- Previous analysis: ${previous ? `score ${previous.hypeScore}, ${previous.recommendation} (${previous.analyzedAt})` : 'none'}`;
+    });
+
+    return `You are an expert financial AI analyzing stock market hype. Calculate a hype score (0-100) for each of these tickers: ${batch.map(c => c.ticker).join(', ')}.
+
+**Current Data** (mentions are decay-weighted, so recent posts count more; at the default half-life they read like last-hour counts):
+Time: ${new Date().toLocaleString()}
+Market (NYSE): ${describeSession(getMarketSession())}
 
-**Historical Context:**
-Recent mention events: ${historicalData.mentionEvents.length}
-Recent price snapshots: ${historicalData.priceHistory.length}
+${sections.join('\n\n')}
 
 **Important Context:**
 - News is supplementary, not primary
@@ -393,141 +2489,257 @@ Recent price snapshots: ${historicalData.priceHistory.length}
 - If news is high but retail mentions are low, score should be moderate
 - If retail mentions are high and news confirms it, score should be high
 
-**Recent AI Insights:**
-${JSON.stringify(recentInsights, null, 2)}
-
-**Your Task:**
+**Your Task (for each ticker):**
 1. Analyze all data sources for unusual patterns
 2. Detect potential anomalies (bots, manipulation, genuine interest)
 3. Consider market conditions and time of day
 4. Assign dynamic weights to each data source (must sum to 1.0)
 5. Calculate a hype score (0-100) with confidence level
 
-**Return ONLY valid JSON** (no markdown, no code blocks):
+**Return ONLY valid JSON** (no markdown, no code blocks), with one entry per ticker:
 {
-  "hypeScore": 0-100,
-  "confidence": 0-100,
-  "reasoning": "brief explanation",
-  "keyFactors": ["most important factor", "second factor"],
-  "weights": {
-    "reddit": 0.0-1.0,
-    "stocktwits": 0.0-1.0,
-    "bluesky": 0.0-1.0,
-    "news": 0.0-1.0,
-    "volume": 0.0-1.0,
-    "price": 0.0-1.0
-  },
-  "anomalies": ["detected issue 1", "detected issue 2"],
-  "recommendation": "high hype / moderate / low / suspicious"
+  "analyses": {
+    "TICKER": {
+      "hypeScore": 0-100,
+      "confidence": 0-100,
+      "reasoning": "brief explanation",
+      "keyFactors": ["most important factor", "second factor"],
+      "weights": {
+        "reddit": 0.0-1.0,
+        "stocktwits": 0.0-1.0,
+        "bluesky": 0.0-1.0,
+        "news": 0.0-1.0,
+        "volume": 0.0-1.0,
+        "price": 0.0-1.0
+      },
+      "anomalies": ["detected issue 1", "detected issue 2"],
+      "recommendation": "one of: high hype, moderate, low, suspicious"
+    }
+  }
 }`;
+  }
 
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'x-api-key': this.anthropicApiKey,
-          'anthropic-version': '2023-06-01',
-          'content-type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 1024,
-          messages: [{
-            role: 'user',
-            content: prompt
-          }]
-        })
+  store(batch, { analyses, provider, model, attempts }) {
+    const now = Date.now();
+    
+    for (const { ticker, data, baselineScore, reasons } of batch) {
+      const analysis = analyses[ticker];
+      this.aiCalc.llmAnalyses.set(ticker, {
+        ...analysis,
+        provider,
+        model,
+        analyzedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttlMs).toISOString(),
+        baselineScore,
+        suspiciousRatio: data.suspiciousRatio || 0,
+        reasons
       });
+      this.aiCalc.aiInsights.push({ timestamp: now, ticker, provider, model, attempts, analysis });
+      this.aiCalc.aiWeights.set(ticker, { ...analysis.weights, source: provider, model, updatedAt: new Date(now).toISOString() });
+    }
+    
+    if (this.aiCalc.aiInsights.length > 100) {
+      this.aiCalc.aiInsights = this.aiCalc.aiInsights.slice(-100);
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Claude API error: ${response.status}`);
-      }
-
-      const result = await response.json();
-      const text = result.content[0].text;
+  // One scheduling pass; run after each collection cycle
+  async run() {
+    const llm = this.aiCalc.llm;
+    if (!llm.available || this.running) return null;
+    this.running = true;
+    
+    const started = Date.now();
+    const report = { ranAt: new Date(started).toISOString(), candidates: 0, analyzed: [], failed: [], deferred: 0, stoppedBy: null };
+    
+    try {
+      const inputs = this.collector.getScoringInputs(Array.from(this.collector.trackedTickers), 60);
+      const candidates = this.prioritize(inputs, started);
+      report.candidates = candidates.length;
       
-      const cleanText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      const analysis = JSON.parse(cleanText);
-
-      this.aiInsights.push({
-        timestamp: Date.now(),
-        ticker,
-        analysis
-      });
-
-      if (this.aiInsights.length > 100) {
-        this.aiInsights = this.aiInsights.slice(-100);
+      const batches = chunk(candidates, this.batchSize);
+      for (let i = 0; i < batches.length; i++) {
+        if (i >= this.maxBatchesPerCycle) {
+          report.stoppedBy = 'batch limit';
+          break;
+        }
+        
+        const batch = batches[i];
+        const prompt = this.buildPrompt(batch);
+        const tickers = batch.map(c => c.ticker);
+        try {
+          const result = await llm.analyzeBatch(prompt, batch.map(({ ticker, data }) => ({ ticker, data })), {
+            // Checked before every attempt, retries included
+            canAttempt: (inputTokens) => this.fitsBudget(inputTokens, this.outputTokensPerTicker * batch.length),
+            onUsage: (usage) => this.recordUsage(usage)
+          });
+          this.recordOutcome({ tickers: batch.length });
+          this.store(batch, result);
+          report.analyzed.push(...tickers);
+          console.log(`  🧠 LLM analysis for ${tickers.join(', ')} (${result.provider}/${result.model}, ${result.usage.inputTokens + result.usage.outputTokens} tokens${result.attempts > 1 ? `, ${result.attempts} attempts` : ''})`);
+        } catch (error) {
+          if (error instanceof BudgetExceededError && error.attempts === 0) {
+            report.stoppedBy = 'budget';
+            break;
+          }
+          this.recordOutcome({ failed: true });
+          report.failed.push(...tickers);
+          console.error(`  ❌ LLM analysis error for ${tickers.join(', ')}: ${error.message}`);
+          if (error instanceof BudgetExceededError) {
+            report.stoppedBy = 'budget';
+            break;
+          }
+        }
       }
+      
+      report.deferred = candidates.length - report.analyzed.length - report.failed.length;
+      this.lastRun = report;
+      // Fresh analyses would otherwise wait for the next collection
+      if (report.analyzed.length > 0) await this.collector.takeScoreSnapshot();
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
 
-      this.aiWeights.set(ticker, analysis.weights);
+  getReport(now = Date.now()) {
+    const day = this.today(now);
+    const usage = this.usageFor(day);
+    const usedTokens = usage.inputTokens + usage.outputTokens;
+    const analyses = Array.from(this.aiCalc.llmAnalyses.values());
+    
+    return {
+      provider: this.aiCalc.llm.provider,
+      model: this.aiCalc.llm.model,
+      available: this.aiCalc.llm.available,
+      day,
+      resetsAt: new Date(Date.parse(day) + 24 * HOUR_MS).toISOString(),
+      budget: {
+        tokens: this.dailyTokenBudget,
+        cost: this.dailyCostBudget
+      },
+      used: {
+        ...usage,
+        tokens: usedTokens,
+        tokenShare: Math.round((usedTokens / this.dailyTokenBudget) * 1000) / 1000
+      },
+      remainingTokens: Math.max(this.dailyTokenBudget - usedTokens, 0),
+      remainingCost: this.dailyCostBudget !== null ? Math.max(Math.round((this.dailyCostBudget - usage.cost) * 1e6) / 1e6, 0) : null,
+      settings: {
+        batchSize: this.batchSize,
+        maxBatchesPerCycle: this.maxBatchesPerCycle,
+        ttlMinutes: this.ttlMs / 60000,
+        minScoreChange: this.minScoreChange
+      },
+      cache: {
+        tickers: analyses.length,
+        fresh: analyses.filter(a => Date.parse(a.expiresAt) > now).length
+      },
+      lastRun: this.lastRun,
+      history: Array.from(this.usage.entries())
+        .sort(([a], [b]) => b.localeCompare(a))
+        .slice(0, 7)
+        .map(([date, u]) => ({ date, ...u }))
+    };
+  }
+}
 
-      console.log(`  🧠 Claude analysis for ${ticker}:`);
-      console.log(`     Score: ${analysis.hypeScore} (${analysis.confidence}% confidence)`);
-      console.log(`     Reasoning: ${analysis.reasoning}`);
+// Every score snapshot, per ticker: full resolution for the recent past, then
+// thinned to the last snapshot of each hour until the retention limit.
+class ScoreHistory {
+  constructor(storage) {
+    this.storage = storage;
+    this.entries = new Map(); // ticker -> entries, oldest first
+    this.fullResolutionMs = (parseFloat(process.env.SCORE_HISTORY_FULL_RESOLUTION_DAYS) || 2) * 24 * HOUR_MS;
+    this.retentionMs = (parseFloat(process.env.SCORE_HISTORY_RETENTION_DAYS) || 90) * 24 * HOUR_MS;
+  }
 
-      return analysis;
-    } catch (error) {
-      console.error(`  ❌ Claude AI error: ${error.message}`);
-      return null;
+  async load() {
+    const data = await this.storage.loadScoreHistory();
+    for (const [ticker, entries] of Object.entries(data)) {
+      this.entries.set(ticker, entries);
     }
+    this.compact();
   }
 
-  async calculateHype(ticker, data, allTickersData) {
-    this.analysisCount++;
+  async save() {
+    this.compact();
+    await this.storage.saveScoreHistory(Object.fromEntries(this.entries));
+  }
 
-    const shouldUseClaude = this.claudeAvailable && (this.analysisCount % this.useClaudeEvery === 0);
+  // Records the available results of one snapshot
+  record(results, takenAt) {
+    const timestamp = Date.parse(takenAt);
+    for (const result of Object.values(results)) {
+      if (result.available === false) continue;
+      if (!this.entries.has(result.symbol)) this.entries.set(result.symbol, []);
+      this.entries.get(result.symbol).push({
+        timestamp,
+        hypeScore: result.hypeScore,
+        relativeScore: result.relativeScore,
+        rawScore: round2(result.rawScore),
+        mode: result.mode,
+        confidence: result.confidence,
+        inputs: {
+          reddit: result.intensity.reddit,
+          stocktwits: result.intensity.stocktwits,
+          bluesky: result.intensity.bluesky,
+          news: result.intensity.news,
+          volume: result.volume,
+          priceChangePercent: result.changePercent
+        }
+      });
+    }
+  }
 
-    if (shouldUseClaude) {
-      const claudeAnalysis = await this.calculateWithClaude(ticker, data);
-      if (claudeAnalysis) {
-        // Apply percentile adjustment to Claude scores
-        const adjustedScore = this.calculatePercentileScore(ticker, claudeAnalysis.hypeScore, allTickersData);
-        
-        return {
-          hypeScore: adjustedScore,
-          rawScore: claudeAnalysis.hypeScore,
-          confidence: claudeAnalysis.confidence,
-          reasoning: claudeAnalysis.reasoning + ' (percentile-adjusted)',
-          keyFactors: claudeAnalysis.keyFactors,
-          weights: claudeAnalysis.weights,
-          anomalies: claudeAnalysis.anomalies,
-          mode: 'claude-ai-percentile',
-          recommendation: claudeAnalysis.recommendation
-        };
+  compact(now = Date.now()) {
+    const fullCutoff = now - this.fullResolutionMs;
+    const dropCutoff = now - this.retentionMs;
+    
+    for (const [ticker, entries] of this.entries.entries()) {
+      const kept = [];
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.timestamp < dropCutoff) continue;
+        // Older entries survive only as the last one in their hour
+        const next = entries[i + 1];
+        if (entry.timestamp < fullCutoff && next && Math.floor(next.timestamp / HOUR_MS) === Math.floor(entry.timestamp / HOUR_MS)) {
+          continue;
+        }
+        kept.push(entry);
+      }
+      if (kept.length > 0) {
+        this.entries.set(ticker, kept);
+      } else {
+        this.entries.delete(ticker);
       }
     }
+  }
 
-    const learnedWeights = this.aiWeights.get(ticker);
-    let baseScore;
-    
-    if (learnedWeights) {
-      baseScore = 0;
-      baseScore += (data.reddit || 0) * learnedWeights.reddit * 50;
-      baseScore += (data.stocktwits || 0) * learnedWeights.stocktwits * 50;
-      baseScore += (data.bluesky || 0) * learnedWeights.bluesky * 50;
-      baseScore += (data.news || 0) * learnedWeights.news * 50;
-      baseScore += Math.log10((data.volume || 0) / 1000000 + 1) * learnedWeights.volume * 30;
-      baseScore += Math.abs(data.priceChangePercent || 0) * learnedWeights.price * 5;
-    } else {
-      baseScore = this.calculateBaselineHype(ticker, data);
+  // Entries in [fromMs, toMs]; with intervalMs, the last entry of each interval
+  query(ticker, fromMs, toMs, intervalMs = null) {
+    const inRange = (this.entries.get(ticker) || []).filter(e => e.timestamp >= fromMs && e.timestamp <= toMs);
+    if (!intervalMs) return inRange;
+    
+    const byInterval = new Map();
+    for (const entry of inRange) {
+      byInterval.set(Math.floor(entry.timestamp / intervalMs) * intervalMs, entry);
     }
-
-    // Apply percentile adjustment
-    const adjustedScore = this.calculatePercentileScore(ticker, baseScore, allTickersData);
-
-    return {
-      hypeScore: adjustedScore,
-      rawScore: baseScore,
-      confidence: learnedWeights ? 75 : 50,
-      weights: learnedWeights,
-      mode: learnedWeights ? 'learned-weights-percentile' : 'baseline-percentile',
-      reasoning: 'Percentile-based scoring prevents score inflation'
-    };
+    return Array.from(byInterval.values());
   }
 }
 
+const SESSION_ICONS = { pre: '🟡', regular: '🟢', post: '🟠', closed: '🔴' };
+
 // Background data collector with PARALLEL collection
-class BackgroundCollector {
+// Emits 'collection-started' and 'collection-finished' around every cycle;
+// 'collection-finished' carries `error` when the cycle failed
+class BackgroundCollector extends EventEmitter {
   constructor() {
+    super();
+    // One listener per open /api/stream connection
+    this.setMaxListeners(0);
+    
     this.aiCalc = new AIHypeCalculator();
     this.isCollecting = false;
     this.lastCollectionTime = null;
@@ -543,17 +2755,71 @@ class BackgroundCollector {
     this.redditLimiter = new RateLimiter(50);
     this.finnhubLimiter = new RateLimiter(50);
     
-    this.trackedTickers = new Set([
+    // Tracked universe = every watchlist + client-requested tickers
+    // (dynamicTickers, bounded and expiring) + discovered tickers.
+    // The defaults only seed the "default" watchlist on first run.
+    this.defaultTickers = [
       'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'TSLA', 'NVDA', 'META', 'AMD',
       'GME', 'AMC', 'SPY', 'QQQ', 'COIN', 'NFLX', 'PLTR', 'MSTR', 'SOFI',
       'HOOD', 'SNAP', 'RIVN', 'LCID', 'BB', 'NOK', 'BBBY'
-    ]);
+    ];
+    this.watchlists = new WatchlistStore(this.aiCalc.storage);
+    
+    this.discovery = new TickerDiscovery(this.aiCalc.storage);
+    this.discoveredTickers = new Set();
+    // Tickers only alert rules watch, on their own budget (see setAlertTickers)
+    this.alertTickers = new Set();
+    this.maxAlertTickers = parseInt(process.env.MAX_ALERT_TICKERS) || 25;
+    
+    this.spikes = new SpikeDetector(this.aiCalc);
+    this.backtester = new Backtester(this.aiCalc);
+    this.weightLearner = new WeightLearner(this.aiCalc, this.backtester);
+    this.aiScheduler = new AIScheduler(this);
+    
+    // Scores for the whole tracked universe as of the last collection, so
+    // /api/hype numbers don't depend on which tickers a request asks for
+    this.scoreSnapshot = null;
+    // Universe scoring inputs for non-default settings, keyed by settings and
+    // reused until the next snapshot, so live re-scoring costs one pass per
+    // settings combination per cycle rather than one per request
+    this.scoringInputsCache = new Map();
+    this.maxScoringInputsCacheEntries = 20;
+    this.scoreHistory = new ScoreHistory(this.aiCalc.storage);
+    this.discountSuspicious = ['true', '1'].includes(process.env.BOT_DISCOUNT_SUSPICIOUS);
+    
+    this.symbolDirectory = new SymbolDirectory(this.aiCalc.storage);
+    this.dynamicTickers = new Map();
+    this.maxDynamicTickers = parseInt(process.env.MAX_DYNAMIC_TICKERS) || 25;
+    this.dynamicTickerTtlMs = (parseFloat(process.env.DYNAMIC_TICKER_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+  }
+
+  get trackedTickers() {
+    return new Set([...this.watchlists.symbols, ...this.dynamicTickers.keys(), ...this.discoveredTickers, ...this.alertTickers]);
+  }
+
+  isTracked(symbol) {
+    return this.watchlists.has(symbol) || this.dynamicTickers.has(symbol) || this.discoveredTickers.has(symbol) ||
+      this.alertTickers.has(symbol);
   }
 
   async init() {
     console.log('🚀 Initializing Background Collector v5.4.0...\n');
     
     const hasData = await this.aiCalc.init();
+    await this.symbolDirectory.load();
+    await this.watchlists.load(this.defaultTickers);
+    const dynamic = await this.aiCalc.storage.loadDynamicTickers();
+    for (const [symbol, info] of Object.entries(dynamic)) {
+      this.dynamicTickers.set(symbol, info);
+    }
+    await this.discovery.load();
+    await this.aiScheduler.load();
+    await this.scoreHistory.load();
+    for (const symbol of this.discovery.getPromoted()) {
+      if (!this.isTracked(symbol)) {
+        this.discoveredTickers.add(symbol);
+      }
+    }
     await this.initBluesky();
     
     if (hasData) {
@@ -651,31 +2917,21 @@ class BackgroundCollector {
         
         data[1].data.children.forEach(comment => {
           if (comment.data?.body) {
-            const commentBody = comment.data.body.toUpperCase();
             const commentTime = comment.data.created_utc * 1000;
+            const mention = findTickerMention(comment.data.body, ticker);
             
-            const patterns = [
-              new RegExp(`\\$${ticker}\\b`, 'gi'),
-              new RegExp(`\\b${ticker}\\b`, 'gi'),
-              new RegExp(`${ticker}[\\s,.]`, 'gi')
-            ];
-            
-            patterns.forEach(p => {
-              const matches = (commentBody.match(p) || []).length;
-              if (matches > 0) {
-                commentMentions += matches;
-                
-                for (let i = 0; i < matches; i++) {
-                  if (!this.aiCalc.mentionEvents.has(ticker)) {
-                    this.aiCalc.mentionEvents.set(ticker, []);
-                  }
-                  this.aiCalc.mentionEvents.get(ticker).push({
-                    timestamp: commentTime,
-                    source: 'reddit_comment'
-                  });
-                }
-              }
-            });
+            if (mention) {
+              commentMentions++;
+              this.aiCalc.recordMention(ticker, {
+                id: `reddit:${comment.data.name}`,
+                timestamp: commentTime,
+                source: 'reddit_comment',
+                sentiment: classifySentiment(comment.data.body),
+                confidence: mention.confidence,
+                author: authorId('reddit', comment.data.author),
+                textHash: textHash(comment.data.body)
+              });
+            }
           }
         });
         
@@ -800,35 +3056,28 @@ class BackgroundCollector {
           
           if (postTime < oneDayAgo) continue;
           
-          const title = (post.data.title || '').toUpperCase();
-          const text = (post.data.selftext || '').toUpperCase();
-          const combined = `${title} ${text}`;
-          
-          const patterns = [
-            new RegExp(`\\$${ticker}\\b`, 'gi'),
-            new RegExp(`\\b${ticker}\\b`, 'gi'),
-            new RegExp(`${ticker}[\\s,.]`, 'gi')
-          ];
-          
-          let postMentions = 0;
-          patterns.forEach(p => {
-            const matches = (combined.match(p) || []).length;
-            postMentions += matches;
-          });
+          const combined = `${post.data.title || ''} ${post.data.selftext || ''}`;
+          this.discovery.observe(
+            extractCashtags(combined),
+            `reddit:${post.data.name}`,
+            postTime * 1000,
+            'reddit',
+            (symbol) => this.isTracked(symbol)
+          );
+          const mention = findTickerMention(combined, ticker);
           
-          if (postMentions > 0) {
-            mentions += postMentions;
+          if (mention) {
+            mentions++;
             
-            const postTimestamp = postTime * 1000;
-            for (let i = 0; i < postMentions; i++) {
-              if (!this.aiCalc.mentionEvents.has(ticker)) {
-                this.aiCalc.mentionEvents.set(ticker, []);
-              }
-              this.aiCalc.mentionEvents.get(ticker).push({
-                timestamp: postTimestamp,
-                source: 'reddit'
-              });
-            }
+            this.aiCalc.recordMention(ticker, {
+              id: `reddit:${post.data.name}`,
+              timestamp: postTime * 1000,
+              source: 'reddit',
+              sentiment: classifySentiment(combined),
+              confidence: mention.confidence,
+              author: authorId('reddit', post.data.author),
+              textHash: textHash(combined)
+            });
             
             if (post.data.num_comments > 0) {
               postsWithMentions.push({
@@ -908,14 +3157,21 @@ class BackgroundCollector {
               if (postTime < oneDayAgo) return;
               
               seenPosts.add(postId);
+              
+              // Search is fuzzy; only keep posts that actually name the ticker
+              const mention = findTickerMention(post.record?.text, ticker);
+              if (!mention) return;
               totalMentions++;
               
-              if (!this.aiCalc.mentionEvents.has(ticker)) {
-                this.aiCalc.mentionEvents.set(ticker, []);
-              }
-              this.aiCalc.mentionEvents.get(ticker).push({
+              this.aiCalc.recordMention(ticker, {
+                id: `bluesky:${postId}`,
                 timestamp: postTime,
-                source: 'bluesky'
+                source: 'bluesky',
+                sentiment: classifySentiment(post.record?.text),
+                confidence: mention.confidence,
+                author: authorId('bluesky', post.author?.handle),
+                authorCreatedAt: Date.parse(post.author?.createdAt) || null,
+                textHash: textHash(post.record?.text)
               });
             });
           }
@@ -950,12 +3206,22 @@ class BackgroundCollector {
           
           if (messageTime > oneDayAgo) {
             mentions++;
-            if (!this.aiCalc.mentionEvents.has(ticker)) {
-              this.aiCalc.mentionEvents.set(ticker, []);
-            }
-            this.aiCalc.mentionEvents.get(ticker).push({
+            this.discovery.observe(
+              (m.symbols || []).map(s => s.symbol).filter(Boolean),
+              `stocktwits:${m.id}`,
+              messageTime,
+              'stocktwits',
+              (symbol) => this.isTracked(symbol)
+            );
+            this.aiCalc.recordMention(ticker, {
+              id: `stocktwits:${m.id}`,
               timestamp: messageTime,
-              source: 'stocktwits'
+              source: 'stocktwits',
+              // Prefer the author's own Bullish/Bearish tag when they set one
+              sentiment: normalizeSentimentLabel(m.entities?.sentiment?.basic) || classifySentiment(m.body),
+              author: authorId('stocktwits', m.user?.username),
+              authorCreatedAt: Date.parse(m.user?.join_date) || null,
+              textHash: textHash(m.body)
             });
           }
         });
@@ -967,6 +3233,70 @@ class BackgroundCollector {
     }
   }
 
+  // Symbols StockTwits currently lists as trending (once per cycle, no auth)
+  async collectStocktwitsTrending() {
+    try {
+      const response = await fetch('https://api.stocktwits.com/api/2/trending/symbols.json');
+      if (!response.ok) return [];
+      
+      const data = await response.json();
+      const symbols = (data.symbols || []).map(s => s.symbol).filter(Boolean);
+      this.discovery.observeTrending(symbols, (symbol) => this.isTracked(symbol));
+      return symbols;
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Is this a real, currently quoted symbol? null when we can't tell.
+  async validateSymbol(symbol) {
+    if (!SYMBOL_FORMAT.test(symbol)) return false;
+    const listed = this.symbolDirectory.has(symbol);
+    if (listed !== null) return listed;
+    
+    const apiKey = process.env.FINNHUB_API_KEY;
+    if (!apiKey) return null;
+    
+    try {
+      const response = await this.finnhubLimiter.execute(() =>
+        fetch(`https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(symbol)}&token=${apiKey}`)
+      );
+      if (!response.ok) return null;
+      const quote = await response.json();
+      return quote.c > 0;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async runDiscovery() {
+    try {
+      await this.discovery.evaluate({
+        isTracked: (symbol) => this.isTracked(symbol),
+        validate: (symbol) => this.validateSymbol(symbol),
+        promote: (symbol) => this.discoveredTickers.add(symbol),
+        // Only drops tickers that are tracked purely because of discovery
+        demote: (symbol) => this.discoveredTickers.delete(symbol)
+      });
+    } catch (e) {
+      console.error(`❌ Discovery error: ${e.message}`);
+    }
+  }
+
+  async persistAll() {
+    await this.aiCalc.persistData();
+    try {
+      await Promise.all([
+        this.discovery.save(),
+        this.aiScheduler.save(),
+        this.scoreHistory.save(),
+        this.aiCalc.storage.saveDynamicTickers(Object.fromEntries(this.dynamicTickers))
+      ]);
+    } catch (e) {
+      console.error(`❌ Failed to persist collector state: ${e.message}`);
+    }
+  }
+
   // CHANGE 4: Added logging to news collection
   async collectNews(ticker) {
     const apiKey = process.env.FINNHUB_API_KEY;
@@ -1001,32 +3331,19 @@ class BackgroundCollector {
         return 0;
       }
       
-      let effectiveCount = 0;
+      let newArticles = 0;
       
-      if (news.length > 0) {
-        news.forEach(article => {
-          const articleTime = article.datetime * 1000;
-          const ageHours = (Date.now() - articleTime) / (60 * 60 * 1000);
-          
-          let weight = 1;
-          if (ageHours < 6) weight = 5;
-          else if (ageHours < 24) weight = 3;
-          
-          effectiveCount += weight;
-          
-          for (let i = 0; i < weight; i++) {
-            if (!this.aiCalc.mentionEvents.has(ticker)) {
-              this.aiCalc.mentionEvents.set(ticker, []);
-            }
-            this.aiCalc.mentionEvents.get(ticker).push({
-              timestamp: articleTime,
-              source: 'news'
-            });
-          }
+      news.forEach(article => {
+        const isNew = this.aiCalc.recordMention(ticker, {
+          id: `news:${article.id}`,
+          timestamp: article.datetime * 1000,
+          source: 'news',
+          sentiment: classifySentiment(`${article.headline || ''} ${article.summary || ''}`)
         });
-      }
+        if (isNew) newArticles++;
+      });
       
-      console.log(`  📰 News for ${ticker}: ${news.length} articles found (age-weighted: ${effectiveCount})`);
+      console.log(`  📰 News for ${ticker}: ${news.length} articles found (${newArticles} new)`);
       return news.length;
       
     } catch (e) {
@@ -1153,7 +3470,7 @@ class BackgroundCollector {
       this.collectPriceData(ticker)
     ]);
     
-    const marketStatus = this.aiCalc.isMarketOpen() ? '🟢' : '🔴';
+    const marketStatus = SESSION_ICONS[getMarketSession().session];
     console.log(`  ${marketStatus} ${ticker}: R:${reddit} ST:${stocktwits} B:${bluesky} N:${news} | Price: ${priceData?.price || 'N/A'} | Vol: ${priceData?.volume?.toLocaleString() || '0'} (${priceData?.volumeSource || 'none'})`);
     
     return { reddit, stocktwits, bluesky, news, priceData };
@@ -1163,19 +3480,32 @@ class BackgroundCollector {
     console.log(`\n🚀 Starting Background Collection Loop`);
     console.log(`📊 Tracking ${this.trackedTickers.size} tickers`);
     console.log(`⚡ Using PARALLEL collection (4 subs + 3 tickers at once)`);
-    console.log(`🤖 AI Mode: ${this.aiCalc.claudeAvailable ? 'Claude API Enabled' : 'Local Learning Only'}\n`);
+    console.log(`🤖 AI Mode: ${this.aiCalc.llm.available ? `LLM analysis via ${this.aiCalc.llm.provider}` : 'Local Learning Only'}\n`);
     
     await this.collectAll();
+    this.runWeightLearner();
     
     setInterval(async () => {
       await this.collectAll();
     }, 5 * 60 * 1000);
     
+    if (this.weightLearner.enabled) {
+      setInterval(() => this.runWeightLearner(), this.weightLearner.intervalMs);
+    }
+    
     setInterval(async () => {
-      await this.aiCalc.persistData();
+      await this.persistAll();
     }, 10 * 60 * 1000);
   }
 
+  runWeightLearner() {
+    try {
+      this.weightLearner.run();
+    } catch (error) {
+      console.error(`❌ Weight learning failed: ${error.message}`);
+    }
+  }
+
   async collectAll() {
     if (this.isCollecting) {
       console.log('⏭️  Collection already in progress, skipping...');
@@ -1185,35 +3515,66 @@ class BackgroundCollector {
     this.isCollecting = true;
     const startTime = Date.now();
     const time = new Date().toLocaleTimeString();
-    const marketStatus = this.aiCalc.isMarketOpen() ? '🟢 MARKET OPEN' : '🔴 MARKET CLOSED';
+    const market = getMarketSession(startTime);
+    const marketStatus = `${SESSION_ICONS[market.session]} MARKET: ${describeSession(market).toUpperCase()}`;
     
     console.log(`\n${'='.repeat(80)}`);
     console.log(`⏰ ${time} | ${marketStatus}`);
     console.log(`${'='.repeat(80)}\n`);
     
-    const tickerArray = Array.from(this.trackedTickers);
-    const tickerBatches = chunk(tickerArray, 3);
-    
-    for (const batch of tickerBatches) {
-      await Promise.all(batch.map(ticker => this.collectTicker(ticker)));
-      await delay(2000);
+    let failure = null;
+    try {
+      this.emit('collection-started', {
+        startedAt: new Date(startTime).toISOString(),
+        tickers: this.trackedTickers.size
+      });
+      
+      await this.symbolDirectory.refreshIfStale(this.finnhubLimiter);
+      this.expireDynamicTickers();
+      await this.collectStocktwitsTrending();
+      
+      const tickerArray = Array.from(this.trackedTickers);
+      const tickerBatches = chunk(tickerArray, 3);
+      
+      for (const batch of tickerBatches) {
+        await Promise.all(batch.map(ticker => this.collectTicker(ticker)));
+        await delay(2000);
+      }
+      
+      await this.runDiscovery();
+      this.spikes.update(Array.from(this.trackedTickers));
+      await this.takeScoreSnapshot();
+      
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+      this.lastCollectionTime = new Date();
+      this.nextCollectionTime = new Date(Date.now() + 5 * 60 * 1000);
+      
+      const sources = [];
+      if (this.redditWorking) sources.push('Reddit (70 subs)');
+      if (this.blueskyWorking) sources.push('Bluesky (20 patterns)');
+      sources.push('StockTwits', 'News');
+      
+      console.log(`\n${'='.repeat(80)}`);
+      console.log(`✅ Collection complete in ${duration}s | Sources: ${sources.join(', ')}`);
+      console.log(`⏱️  Next collection: ${this.nextCollectionTime.toLocaleTimeString()}`);
+      console.log(`${'='.repeat(80)}\n`);
+    } catch (error) {
+      failure = error;
+      console.error(`❌ Collection cycle failed: ${error.message}`);
+    } finally {
+      this.isCollecting = false;
+      this.nextCollectionTime = new Date(Date.now() + 5 * 60 * 1000);
+      this.emit('collection-finished', {
+        finishedAt: new Date().toISOString(),
+        durationSeconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(1)),
+        nextCollection: this.nextCollectionTime.toISOString(),
+        ...(failure ? { error: failure.message } : {})
+      });
     }
+    if (failure) return;
     
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    this.lastCollectionTime = new Date();
-    this.nextCollectionTime = new Date(Date.now() + 5 * 60 * 1000);
-    
-    const sources = [];
-    if (this.redditWorking) sources.push('Reddit (70 subs)');
-    if (this.blueskyWorking) sources.push('Bluesky (20 patterns)');
-    sources.push('StockTwits', 'News');
-    
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`✅ Collection complete in ${duration}s | Sources: ${sources.join(', ')}`);
-    console.log(`⏱️  Next collection: ${this.nextCollectionTime.toLocaleTimeString()}`);
-    console.log(`${'='.repeat(80)}\n`);
-    
-    this.isCollecting = false;
+    // Detached so LLM calls never hold up the next cycle or requests
+    this.aiScheduler.run().catch(error => console.error(`❌ AI scheduler failed: ${error.message}`));
   }
 
   // CHANGE 5: Historical backfill for AI training
@@ -1254,29 +3615,22 @@ class BackgroundCollector {
               const postDaysAgo = Math.floor((Date.now() - postTime) / (24 * 60 * 60 * 1000));
               
               if (postDaysAgo === daysAgo) {
-                const title = (post.data.title || '').toUpperCase();
-                const text = (post.data.selftext || '').toUpperCase();
-                const combined = `${title} ${text}`;
-                
-                const patterns = [
-                  new RegExp(`\\$${ticker}\\b`, 'gi'),
-                  new RegExp(`\\b${ticker}\\b`, 'gi')
-                ];
+                const combined = `${post.data.title || ''} ${post.data.selftext || ''}`;
+                const mention = findTickerMention(combined, ticker);
                 
-                patterns.forEach(p => {
-                  const matches = (combined.match(p) || []).length;
-                  if (matches > 0) {
-                    dayMentions += matches;
-                    
-                    if (!this.aiCalc.mentionEvents.has(ticker)) {
-                      this.aiCalc.mentionEvents.set(ticker, []);
-                    }
-                    this.aiCalc.mentionEvents.get(ticker).push({
-                      timestamp: postTime,
-                      source: 'reddit_backfill'
-                    });
-                  }
-                });
+                if (mention) {
+                  dayMentions++;
+                  
+                  this.aiCalc.recordMention(ticker, {
+                    id: `reddit:${post.data.name}`,
+                    timestamp: postTime,
+                    source: 'reddit_backfill',
+                    sentiment: classifySentiment(combined),
+                    confidence: mention.confidence,
+                    author: authorId('reddit', post.data.author),
+                    textHash: textHash(combined)
+                  });
+                }
               }
             }
           }
@@ -1321,21 +3675,265 @@ class BackgroundCollector {
       }
     }
     
-    console.log('📚 Historical Backfill Complete!\n');
-    await this.aiCalc.persistData();
+    console.log('📚 Historical Backfill Complete!\n');
+    await this.persistAll();
+  }
+
+  // Track a client-requested ticker. Returns { tracked, reason }; symbols that
+  // fail validation or would exceed the dynamic cap are refused so a typo or a
+  // scan can't grow the collection loop.
+  addTicker(ticker) {
+    const now = Date.now();
+    
+    if (this.dynamicTickers.has(ticker)) {
+      this.dynamicTickers.get(ticker).lastRequestedAt = now;
+      return { tracked: true };
+    }
+    if (this.watchlists.has(ticker)) {
+      return { tracked: true };
+    }
+    
+    const invalid = this.checkSymbol(ticker);
+    if (invalid) {
+      return { tracked: false, reason: invalid };
+    }
+    if (this.dynamicTickers.size >= this.maxDynamicTickers) {
+      // Discovered tickers are already collected; just don't take a slot
+      if (this.discoveredTickers.has(ticker)) return { tracked: true };
+      return { tracked: false, reason: 'Dynamic ticker limit reached' };
+    }
+    
+    // A client asked for it, so it no longer depends on discovery to stay tracked
+    const wasTracked = this.discoveredTickers.delete(ticker);
+    this.dynamicTickers.set(ticker, { addedAt: now, lastRequestedAt: now });
+    if (!wasTracked) {
+      console.log(`➕ ${ticker} added to tracking`);
+    }
+    return { tracked: true };
+  }
+  
+  // Replace the set of tickers tracked for alert rules. They get their own
+  // budget instead of dynamic slots, so alerts never crowd out client requests;
+  // tickers already tracked some other way don't use it. Returns a Map of
+  // refused tickers to reasons.
+  setAlertTickers(tickers) {
+    const alertTickers = new Set();
+    const refused = new Map();
+    for (const ticker of tickers) {
+      if (this.watchlists.has(ticker) || this.dynamicTickers.has(ticker) || this.discoveredTickers.has(ticker)) continue;
+      const invalid = this.checkSymbol(ticker);
+      if (invalid) {
+        refused.set(ticker, invalid);
+      } else if (alertTickers.size >= this.maxAlertTickers) {
+        refused.set(ticker, 'Alert ticker limit reached');
+      } else {
+        alertTickers.add(ticker);
+        if (!this.alertTickers.has(ticker)) console.log(`🔔 ${ticker} tracked for alert rules`);
+      }
+    }
+    this.alertTickers = alertTickers;
+    return refused;
+  }
+  
+  // Error message for a symbol we shouldn't track, or null if it looks fine
+  checkSymbol(ticker) {
+    if (!SYMBOL_FORMAT.test(ticker)) return 'Invalid ticker format';
+    if (this.symbolDirectory.has(ticker) === false) return 'Unknown symbol';
+    return null;
+  }
+  
+  expireDynamicTickers() {
+    const cutoff = Date.now() - this.dynamicTickerTtlMs;
+    for (const [ticker, info] of this.dynamicTickers.entries()) {
+      if (info.lastRequestedAt < cutoff) {
+        this.dynamicTickers.delete(ticker);
+        console.log(`➖ ${ticker} removed from tracking (not requested for ${this.dynamicTickerTtlMs / 86400000} days)`);
+      }
+    }
+  }
+
+  // Scores every tracked ticker with the default settings (explanations
+  // included; getHypeResults strips them unless asked for)
+  async takeScoreSnapshot() {
+    this.scoringInputsCache.clear();
+    try {
+      const takenAt = new Date().toISOString();
+      const universe = Array.from(this.trackedTickers);
+      const results = await this.buildHypeResults(universe, 60, { discountSuspicious: this.discountSuspicious, explain: true });
+      const universeSize = Object.values(results).filter(r => r.available !== false).length;
+      for (const result of Object.values(results)) result.snapshotAt = takenAt;
+      this.scoreSnapshot = { takenAt, windowMinutes: 60, discountSuspicious: this.discountSuspicious, universeSize, results };
+      this.scoreHistory.record(results, takenAt);
+      console.log(`📸 Score snapshot: ${universeSize} tickers`);
+    } catch (error) {
+      console.error(`❌ Score snapshot failed: ${error.message}`);
+    }
+  }
+
+  // Score payloads for /api/hype, the live stream and alerts. Requests with
+  // the default settings are served from the snapshot; other settings, and
+  // tickers the snapshot doesn't cover yet, are scored live (still ranked
+  // against the whole universe). Options are those of buildHypeResults.
+  async getHypeResults(tickerList, windowMinutes, { refused = new Map(), discountSuspicious = this.discountSuspicious, explain = false, halfLives } = {}) {
+    const snapshot = this.scoreSnapshot;
+    const defaultHalfLives = !halfLives ||
+      (halfLives.social === this.aiCalc.halfLives.social && halfLives.news === this.aiCalc.halfLives.news);
+    const useSnapshot = snapshot && windowMinutes === snapshot.windowMinutes &&
+      discountSuspicious === snapshot.discountSuspicious && defaultHalfLives;
+    
+    const results = {};
+    const missing = [];
+    for (const ticker of tickerList) {
+      const cached = useSnapshot && !refused.has(ticker) ? snapshot.results[ticker] : null;
+      if (cached && cached.available !== false) {
+        const { explanation, ...result } = cached;
+        results[ticker] = explain ? { ...result, explanation } : result;
+      } else {
+        missing.push(ticker);
+      }
+    }
+    
+    if (missing.length > 0) {
+      Object.assign(results, await this.buildHypeResults(missing, windowMinutes, { refused, discountSuspicious, explain, halfLives }));
+    }
+    
+    // Keep the requested order
+    return Object.fromEntries(tickerList.map(ticker => [ticker, results[ticker]]));
   }
 
-  addTicker(ticker) {
-    if (!this.trackedTickers.has(ticker)) {
-      this.trackedTickers.add(ticker);
-      console.log(`➕ ${ticker} added to tracking`);
+  // Score payloads for a set of tickers, each ranked against the whole
+  // tracked universe (plus the requested tickers). `refused` maps tickers that
+  // couldn't be tracked to the reason shown to the client; with
+  // `discountSuspicious`, mentions flagged as coordinated aren't counted;
+  // with `explain`, each result carries a per-component score breakdown.
+  // Scores use decay-weighted intensity (`halfLives` overrides the defaults);
+  // the *_mentions fields stay plain counts over the window.
+  async buildHypeResults(tickerList, windowMinutes, { refused = new Map(), discountSuspicious = false, explain = false, halfLives } = {}) {
+    // First pass: collect all data
+    const allTickersData = this.getUniverseInputs(tickerList, windowMinutes, { refused, discountSuspicious, halfLives });
+    
+    // Second pass: calculate scores with percentile context
+    const results = {};
+    
+    for (const ticker of tickerList) {
+      const data = allTickersData.get(ticker);
+      
+      if (!data) {
+        results[ticker] = {
+          symbol: ticker,
+          hypeScore: 0,
+          available: false,
+          message: refused.get(ticker) || 'Not yet tracked'
+        };
+        continue;
+      }
+      
+      const hypeResult = await this.aiCalc.calculateHype(ticker, data, allTickersData, { explain });
+      const tickerData = this.getHypeData(ticker, windowMinutes, { halfLives, discountSuspicious });
+      const flagged = discountSuspicious ? tickerData.suspicious.flaggedBySource : {};
+      const counts = {
+        reddit: tickerData.reddit_mentions - (flagged.reddit || 0),
+        stocktwits: tickerData.stocktwits_mentions - (flagged.stocktwits || 0),
+        bluesky: tickerData.bluesky_mentions - (flagged.bluesky || 0),
+        news: tickerData.news_count
+      };
+      
+      const relative = this.aiCalc.getRelativeAttention(ticker, tickerData.intensity, halfLives || this.aiCalc.halfLives);
+      
+      results[ticker] = {
+        symbol: ticker,
+        hypeScore: hypeResult.hypeScore || 0,
+        relativeScore: relative ? relative.score : null,
+        rawScore: hypeResult.rawScore || 0,
+        confidence: hypeResult.confidence || 50,
+        mentions: counts.reddit + counts.stocktwits + counts.bluesky + counts.news,
+        reddit_mentions: counts.reddit,
+        stocktwits_mentions: counts.stocktwits,
+        bluesky_mentions: counts.bluesky,
+        news_count: counts.news,
+        intensity: tickerData.intensity,
+        relative,
+        marketSession: tickerData.marketSession,
+        sentiment: tickerData.sentiment,
+        spike: this.spikes.get(ticker),
+        suspicious: { ...tickerData.suspicious, discounted: discountSuspicious },
+        price: tickerData.priceData?.price || null,
+        change: tickerData.priceChange?.change || null,
+        changePercent: data.priceChangePercent,
+        volume: data.volume || 0,
+        volumeSource: tickerData.priceData?.volumeSource || 'unknown',
+        name: ticker,
+        mode: hypeResult.mode || 'baseline',
+        provider: hypeResult.provider,
+        model: hypeResult.model,
+        analyzedAt: hypeResult.analyzedAt,
+        reasoning: hypeResult.reasoning,
+        weights: hypeResult.weights,
+        recommendation: hypeResult.recommendation,
+        explanation: hypeResult.explanation,
+        snapshotAt: null,
+        universeSize: allTickersData.size,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    return results;
+  }
+
+  // Scoring inputs for the tracked universe plus `tickerList`. The universe
+  // part is cached per settings until the next snapshot; requested tickers
+  // outside it are added fresh and refused ones left out.
+  getUniverseInputs(tickerList, windowMinutes, { refused = new Map(), discountSuspicious = false, halfLives = this.aiCalc.halfLives } = {}) {
+    const key = `${windowMinutes}|${discountSuspicious}|${halfLives.social}|${halfLives.news}`;
+    let cached = this.scoringInputsCache.get(key);
+    if (!cached) {
+      cached = this.getScoringInputs(Array.from(this.trackedTickers), windowMinutes, { discountSuspicious, halfLives });
+      if (this.scoringInputsCache.size >= this.maxScoringInputsCacheEntries) {
+        this.scoringInputsCache.delete(this.scoringInputsCache.keys().next().value);
+      }
+      this.scoringInputsCache.set(key, cached);
+    }
+    
+    const extra = tickerList.filter(ticker => !cached.has(ticker) && !refused.has(ticker));
+    const inputs = new Map(cached);
+    for (const [ticker, data] of this.getScoringInputs(extra, windowMinutes, { discountSuspicious, halfLives })) {
+      inputs.set(ticker, data);
     }
+    for (const ticker of refused.keys()) inputs.delete(ticker);
+    return inputs;
   }
 
-  getHypeData(ticker, windowMinutes) {
-    const events = this.aiCalc.mentionEvents.get(ticker);
+  // Per-ticker inputs to calculateHype, for tickers that have data. Mention
+  // inputs are decay-weighted intensities.
+  getScoringInputs(tickerList, windowMinutes, { refused = new Map(), discountSuspicious = false, halfLives } = {}) {
+    const inputs = new Map();
+    
+    for (const ticker of tickerList) {
+      if (refused.has(ticker)) continue;
+      const data = this.getHypeData(ticker, windowMinutes, { halfLives, discountSuspicious });
+      
+      if (data.available) {
+        inputs.set(ticker, {
+          reddit: data.intensity.reddit,
+          stocktwits: data.intensity.stocktwits,
+          bluesky: data.intensity.bluesky,
+          news: data.intensity.news,
+          volume: data.priceData?.volume || 0,
+          priceChangePercent: data.priceChange?.changePercent || 0,
+          marketOpen: data.marketSession === 'regular',
+          marketSession: data.marketSession,
+          suspiciousRatio: data.suspicious.ratio
+        });
+      }
+    }
     
-    if (!events || events.length === 0) {
+    return inputs;
+  }
+
+  // Counts over the window plus decay-weighted intensity per source group.
+  // With `discountSuspicious`, flagged posts are left out of the intensity.
+  getHypeData(ticker, windowMinutes, { halfLives = this.aiCalc.halfLives, discountSuspicious = false } = {}) {
+    if (!this.aiCalc.hasMentionData(ticker)) {
       return {
         ticker,
         available: false,
@@ -1350,40 +3948,87 @@ class BackgroundCollector {
     const blueskyMentions = this.aiCalc.getMentionsInWindow(ticker, windowMinutes, 'bluesky');
     const newsMentions = this.aiCalc.getMentionsInWindow(ticker, windowMinutes, 'news');
     
+    const market = getMarketSession();
     let priceChange = this.aiCalc.getPriceChange(ticker, windowMinutes);
-    if (!priceChange && !this.aiCalc.isMarketOpen()) {
+    if (!priceChange && market.session !== 'regular') {
       priceChange = this.aiCalc.get24HourChange(ticker);
     }
     
     const priceHistory = this.aiCalc.priceHistory.get(ticker) || [];
     const latestPrice = priceHistory.length > 0 ? priceHistory[priceHistory.length - 1] : null;
     
+    const now = Date.now();
+    const cutoffTime = now - windowMinutes * 60 * 1000;
+    const sentimentBySource = {};
+    for (const [name, sources] of Object.entries(SOURCE_GROUPS)) {
+      sentimentBySource[name] = this.aiCalc.countSentiment(ticker, cutoffTime, Infinity, sources);
+    }
+    
+    const { flaggedIds, ...suspicious } = this.aiCalc.getSuspiciousActivity(ticker, cutoffTime);
+    const intensity = {};
+    for (const [name, sources] of Object.entries(SOURCE_GROUPS)) {
+      const halfLifeMs = name === 'news' ? halfLives.news : halfLives.social;
+      intensity[name] = this.aiCalc.getMentionIntensity(ticker, halfLifeMs, sources, {
+        now,
+        exclude: discountSuspicious ? flaggedIds : null
+      });
+    }
+    intensity.halfLifeMinutes = { social: halfLives.social / 60000, news: halfLives.news / 60000 };
+    
     return {
       ticker,
       available: true,
+      suspicious,
       reddit_mentions: redditMentions + redditComments,
       stocktwits_mentions: stocktwitsMentions,
       bluesky_mentions: blueskyMentions,
       news_count: newsMentions,
+      intensity,
+      marketSession: market.session,
       priceData: latestPrice ? {
         price: latestPrice.price,
         volume: latestPrice.volume,
         volumeSource: latestPrice.volumeSource
       } : null,
       priceChange,
+      sentiment: {
+        ...this.aiCalc.countSentiment(ticker, cutoffTime, Infinity, Object.values(SOURCE_GROUPS).flat()),
+        bySource: sentimentBySource
+      },
       timestamp: Date.now()
     };
   }
 
   getStats() {
+    const market = getMarketSession();
     return {
       version: '5.4.0',
       tracked: this.trackedTickers.size,
+      watchlists: this.watchlists.lists.size,
+      dynamic: this.dynamicTickers.size,
+      max_dynamic: this.maxDynamicTickers,
+      discovered: this.discoveredTickers.size,
+      alert: this.alertTickers.size,
+      max_alert: this.maxAlertTickers,
+      spiking: this.spikes.list().filter(s => s.spiking).length,
+      symbol_directory: this.symbolDirectory.symbols?.size || 0,
       mention_events: Array.from(this.aiCalc.mentionEvents.values()).reduce((sum, e) => sum + e.length, 0),
+      mention_buckets: this.aiCalc.countBuckets(),
       price_snapshots: Array.from(this.aiCalc.priceHistory.values()).reduce((sum, h) => sum + h.length, 0),
       ai_insights: this.aiCalc.aiInsights.length,
       ai_weights_learned: this.aiCalc.aiWeights.size,
-      market_open: this.aiCalc.isMarketOpen(),
+      weight_learner: this.weightLearner.lastRun,
+      score_snapshot: this.scoreSnapshot ? {
+        taken_at: this.scoreSnapshot.takenAt,
+        universe_size: this.scoreSnapshot.universeSize
+      } : null,
+      market_open: market.session === 'regular',
+      market: { ...market, label: describeSession(market), next_regular_open: nextRegularOpen() },
+      storage: {
+        schema_version: STORAGE_SCHEMA_VERSION,
+        corrupt_files: this.aiCalc.storage.corruptFiles,
+        locked_files: Array.from(this.aiCalc.storage.lockedFiles)
+      },
       is_collecting: this.isCollecting,
       last_collection: this.lastCollectionTime?.toISOString(),
       next_collection: this.nextCollectionTime?.toISOString(),
@@ -1392,13 +4037,517 @@ class BackgroundCollector {
         bluesky: this.blueskyWorking,
         stocktwits: true,
         news: true,
-        claude_ai: this.aiCalc.claudeAvailable
+        llm: this.aiCalc.llm.available ? `${this.aiCalc.llm.provider}/${this.aiCalc.llm.model}` : false,
+        // Pre-provider name for `llm`, kept for existing clients
+        claude_ai: this.aiCalc.llm.available
+      }
+    };
+  }
+}
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const dayKey = (timestamp = Date.now()) => new Date(timestamp).toISOString().split('T')[0];
+
+// Issued API keys with per-key quotas and usage counters. Only a hash of each
+// key is stored; the plaintext is shown once, when the key is created.
+// Requests without a key get the anonymous quota, per IP.
+class ApiKeyManager {
+  constructor(storage) {
+    this.storage = storage;
+    this.keys = new Map();
+    this.byHash = new Map();
+    this.windows = new Map();
+    this.dirty = false;
+    
+    this.requireKey = process.env.REQUIRE_API_KEY === 'true';
+    this.defaultQuotas = {
+      requestsPerMinute: parseInt(process.env.API_KEY_REQUESTS_PER_MINUTE) || 120,
+      maxTickersPerCall: parseInt(process.env.API_KEY_MAX_TICKERS_PER_CALL) || 50
+    };
+    this.anonymousQuotas = {
+      requestsPerMinute: parseInt(process.env.ANON_REQUESTS_PER_MINUTE) || 30,
+      maxTickersPerCall: parseInt(process.env.ANON_MAX_TICKERS_PER_CALL) || 20
+    };
+  }
+
+  async load() {
+    const data = await this.storage.loadApiKeys();
+    for (const key of Object.values(data.keys || {})) {
+      this.keys.set(key.id, key);
+      this.byHash.set(key.hash, key);
+    }
+    console.log(`🔑 API keys: ${this.keys.size} issued${this.requireKey ? ' (required)' : ''}`);
+  }
+
+  async save() {
+    if (!this.dirty) return;
+    this.dirty = false;
+    await this.storage.saveApiKeys({ keys: Object.fromEntries(this.keys) });
+  }
+
+  async create({ name, requestsPerMinute, maxTickersPerCall }) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const plaintext = `hm_${crypto.randomBytes(24).toString('hex')}`;
+    const key = {
+      id,
+      name: name || id,
+      hash: hashApiKey(plaintext),
+      prefix: plaintext.slice(0, 7),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      quotas: {
+        requestsPerMinute: parseInt(requestsPerMinute) || this.defaultQuotas.requestsPerMinute,
+        maxTickersPerCall: parseInt(maxTickersPerCall) || this.defaultQuotas.maxTickersPerCall
+      },
+      usage: { total: 0, rateLimited: 0, lastUsedAt: null, daily: {} }
+    };
+    
+    this.keys.set(id, key);
+    this.byHash.set(key.hash, key);
+    this.dirty = true;
+    await this.save();
+    return { key: plaintext, ...this.describe(key) };
+  }
+
+  async update(id, { name, requestsPerMinute, maxTickersPerCall }) {
+    const key = this.keys.get(id);
+    if (!key) return null;
+    if (name) key.name = name;
+    if (requestsPerMinute) key.quotas.requestsPerMinute = parseInt(requestsPerMinute);
+    if (maxTickersPerCall) key.quotas.maxTickersPerCall = parseInt(maxTickersPerCall);
+    this.dirty = true;
+    await this.save();
+    return this.describe(key);
+  }
+
+  async revoke(id) {
+    const key = this.keys.get(id);
+    if (!key) return null;
+    key.revokedAt = key.revokedAt || new Date().toISOString();
+    this.dirty = true;
+    await this.save();
+    return this.describe(key);
+  }
+
+  find(plaintext) {
+    const key = this.byHash.get(hashApiKey(plaintext));
+    return key && !key.revokedAt ? key : null;
+  }
+
+  // Fixed one-minute window per client. Returns { allowed, limit, remaining, resetAt }.
+  consume(clientId, limit) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / 60000) * 60000;
+    let window = this.windows.get(clientId);
+    if (!window || window.start !== windowStart) {
+      window = { start: windowStart, count: 0 };
+      this.windows.set(clientId, window);
+    }
+    
+    const allowed = window.count < limit;
+    if (allowed) window.count++;
+    
+    // Drop stale windows so anonymous IPs don't accumulate forever
+    if (this.windows.size > 10000) {
+      for (const [id, w] of this.windows.entries()) {
+        if (w.start !== windowStart) this.windows.delete(id);
+      }
+    }
+    
+    return { allowed, limit, remaining: Math.max(0, limit - window.count), resetAt: windowStart + 60000 };
+  }
+
+  recordUsage(key, allowed) {
+    const today = dayKey();
+    key.usage.total++;
+    key.usage.lastUsedAt = new Date().toISOString();
+    key.usage.daily[today] = (key.usage.daily[today] || 0) + 1;
+    if (!allowed) key.usage.rateLimited++;
+    
+    const days = Object.keys(key.usage.daily).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - 30))) {
+      delete key.usage.daily[day];
+    }
+    this.dirty = true;
+  }
+
+  describe(key) {
+    const { hash, ...rest } = key;
+    return rest;
+  }
+
+  list() {
+    return Array.from(this.keys.values()).map(k => this.describe(k));
+  }
+}
+
+// Numeric metrics read from a /api/hype payload, plus the LLM recommendation
+const ALERT_METRICS = {
+  hypeScore: (r) => r.hypeScore,
+  relativeScore: (r) => r.relativeScore,
+  rawScore: (r) => r.rawScore,
+  mentions: (r) => r.mentions,
+  changePercent: (r) => r.changePercent,
+  volume: (r) => r.volume,
+  sentiment: (r) => r.sentiment?.net,
+  recommendation: (r) => r.recommendation
+};
+const ALERT_OPERATORS = ['above', 'below', 'equals', 'increases_by'];
+
+class AlertRuleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Threshold alert rules, evaluated after every collection cycle against the
+// same payloads /api/hype serves. A rule fires when its condition turns true
+// (not on every cycle while it stays true), and at most once per cooldown.
+// Deliveries are webhook POSTs signed with the rule's secret:
+//   X-HypeMeter-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+class AlertManager {
+  constructor(storage) {
+    this.storage = storage;
+    this.rules = new Map();
+    this.deliveries = [];
+    this.evaluating = false;
+    
+    this.defaultCooldownMinutes = parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 60;
+    this.maxAttempts = parseInt(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS) || 4;
+    this.retryBaseMs = (parseInt(process.env.ALERT_WEBHOOK_RETRY_SECONDS) || 5) * 1000;
+    this.timeoutMs = (parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+    this.maxLogEntries = parseInt(process.env.ALERT_DELIVERY_LOG_SIZE) || 500;
+  }
+
+  async load() {
+    const data = await this.storage.loadAlerts();
+    for (const rule of Object.values(data.rules || {})) {
+      this.rules.set(rule.id, rule);
+    }
+    this.deliveries = data.deliveries || [];
+    for (const delivery of this.deliveries) {
+      if (delivery.status === 'pending') Object.assign(delivery, { status: 'failed', error: 'Interrupted by restart' });
+    }
+    console.log(`🔔 Alert rules: ${this.rules.size} loaded`);
+  }
+
+  async save() {
+    await this.storage.saveAlerts({
+      rules: Object.fromEntries(this.rules),
+      deliveries: this.deliveries
+    });
+  }
+
+  // Validates and normalizes a rule body. `existing` is the rule being patched.
+  validate(body, existing = null) {
+    const rule = { ...(existing || {}) };
+    
+    if (body.name !== undefined) rule.name = String(body.name).slice(0, 100);
+    if (body.ticker !== undefined) {
+      const ticker = String(body.ticker).trim().toUpperCase();
+      if (!SYMBOL_FORMAT.test(ticker)) throw new AlertRuleError('Invalid ticker format');
+      rule.ticker = ticker;
+    }
+    if (body.metric !== undefined) {
+      if (!ALERT_METRICS[body.metric]) {
+        throw new AlertRuleError(`metric must be one of: ${Object.keys(ALERT_METRICS).join(', ')}`);
+      }
+      rule.metric = body.metric;
+    }
+    if (body.operator !== undefined) {
+      if (!ALERT_OPERATORS.includes(body.operator)) {
+        throw new AlertRuleError(`operator must be one of: ${ALERT_OPERATORS.join(', ')}`);
+      }
+      rule.operator = body.operator;
+    }
+    if (body.value !== undefined) rule.value = body.value;
+    if (body.windowMinutes !== undefined) {
+      const windowMinutes = parseInt(body.windowMinutes);
+      if (!(windowMinutes > 0 && windowMinutes <= 7 * 24 * 60)) throw new AlertRuleError('windowMinutes must be between 1 and 10080');
+      rule.windowMinutes = windowMinutes;
+    }
+    if (body.cooldownMinutes !== undefined) {
+      const cooldownMinutes = parseInt(body.cooldownMinutes);
+      if (!(cooldownMinutes >= 0)) throw new AlertRuleError('cooldownMinutes must be 0 or more');
+      rule.cooldownMinutes = cooldownMinutes;
+    }
+    if (body.webhookUrl !== undefined) {
+      let url;
+      try {
+        url = new URL(body.webhookUrl);
+      } catch (error) {
+        throw new AlertRuleError('webhookUrl must be a valid URL');
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) throw new AlertRuleError('webhookUrl must be http(s)');
+      rule.webhookUrl = url.toString();
+    }
+    if (body.enabled !== undefined) rule.enabled = body.enabled !== false && body.enabled !== 'false';
+    
+    for (const field of ['ticker', 'metric', 'operator', 'webhookUrl']) {
+      if (!rule[field]) throw new AlertRuleError(`${field} required`);
+    }
+    if (rule.value === undefined || rule.value === null || rule.value === '') throw new AlertRuleError('value required');
+    
+    if (rule.metric === 'recommendation') {
+      if (rule.operator !== 'equals') throw new AlertRuleError('recommendation only supports the equals operator');
+      rule.value = String(rule.value).toLowerCase();
+    } else {
+      const value = parseFloat(rule.value);
+      if (!Number.isFinite(value)) throw new AlertRuleError('value must be a number');
+      rule.value = value;
+      if (rule.operator === 'increases_by') {
+        if (rule.metric !== 'mentions') throw new AlertRuleError('increases_by is only supported for mentions');
+        if (!(value > 1)) throw new AlertRuleError('increases_by value is a growth factor and must be above 1');
+      }
+    }
+    
+    return rule;
+  }
+
+  async create(body) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const rule = this.validate({ windowMinutes: 60, cooldownMinutes: this.defaultCooldownMinutes, enabled: true, ...body });
+    Object.assign(rule, {
+      id,
+      name: rule.name || `${rule.ticker} ${rule.metric} ${rule.operator} ${rule.value}`,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      createdAt: new Date().toISOString(),
+      matched: false,
+      lastValue: null,
+      lastEvaluatedAt: null,
+      lastTriggeredAt: null
+    });
+    
+    this.rules.set(id, rule);
+    await this.save();
+    // The secret is only returned here and on rotation
+    return { ...this.describe(rule), secret: rule.secret };
+  }
+
+  async update(id, body) {
+    const existing = this.rules.get(id);
+    if (!existing) return null;
+    
+    const rule = this.validate(body, existing);
+    const conditionChanged = ['ticker', 'metric', 'operator', 'value', 'windowMinutes'].some(f => rule[f] !== existing[f]);
+    if (conditionChanged) rule.matched = false;
+    if (body.rotateSecret) rule.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    
+    this.rules.set(id, rule);
+    await this.save();
+    return body.rotateSecret ? { ...this.describe(rule), secret: rule.secret } : this.describe(rule);
+  }
+
+  async remove(id) {
+    const rule = this.rules.get(id);
+    if (!rule) return null;
+    this.rules.delete(id);
+    await this.save();
+    return this.describe(rule);
+  }
+
+  describe(rule) {
+    const { secret, ...rest } = rule;
+    return rest;
+  }
+
+  list() {
+    return Array.from(this.rules.values()).map(r => this.describe(r));
+  }
+
+  listDeliveries({ ruleId, status, limit = 50 } = {}) {
+    return this.deliveries
+      .filter(d => (!ruleId || d.ruleId === ruleId) && (!status || d.status === status))
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Returns the metric value and whether the rule's condition holds
+  check(rule, result, collector) {
+    const value = ALERT_METRICS[rule.metric](result);
+    
+    switch (rule.operator) {
+      case 'above':
+        return { value, matched: typeof value === 'number' && value > rule.value };
+      case 'below':
+        return { value, matched: typeof value === 'number' && value < rule.value };
+      case 'equals':
+        return {
+          value,
+          matched: typeof rule.value === 'string' ? String(value || '').toLowerCase() === rule.value : value === rule.value
+        };
+      case 'increases_by': {
+        // Current window vs the window before it, both raw counts so the bot
+        // discount applied to `mentions` can't skew the comparison
+        const windowMs = rule.windowMinutes * 60 * 1000;
+        const now = Date.now();
+        const count = (fromMs, toMs) => Object.values(SOURCE_GROUPS).flat().reduce(
+          (sum, source) => sum + collector.aiCalc.countMentions(rule.ticker, fromMs, toMs, source), 0);
+        const current = count(now - windowMs, now);
+        const previous = count(now - 2 * windowMs, now - windowMs);
+        return { value: current, previous, matched: current >= rule.value * Math.max(previous, 1) };
+      }
+      default:
+        return { value, matched: false };
+    }
+  }
+
+  // Track the tickers enabled rules watch; returns refused tickers and reasons
+  trackTickers(collector) {
+    const tickers = new Set(Array.from(this.rules.values()).filter(r => r.enabled).map(r => r.ticker));
+    return collector.setAlertTickers(tickers);
+  }
+
+  async evaluate(collector) {
+    const rules = Array.from(this.rules.values()).filter(r => r.enabled);
+    if (this.evaluating) return;
+    const refused = this.trackTickers(collector);
+    if (rules.length === 0) return;
+    this.evaluating = true;
+    
+    try {
+      // Rules sharing a window are scored in one pass
+      const byWindow = new Map();
+      for (const rule of rules) {
+        if (!byWindow.has(rule.windowMinutes)) byWindow.set(rule.windowMinutes, []);
+        byWindow.get(rule.windowMinutes).push(rule);
+      }
+      
+      let triggered = 0;
+      for (const [windowMinutes, windowRules] of byWindow.entries()) {
+        const tickers = [...new Set(windowRules.map(r => r.ticker))];
+        const results = await collector.getHypeResults(tickers, windowMinutes, { refused });
+        const now = Date.now();
+        
+        for (const rule of windowRules) {
+          const result = results[rule.ticker];
+          if (!result || result.available === false) continue;
+          
+          const check = this.check(rule, result, collector);
+          const wasMatched = rule.matched;
+          rule.matched = check.matched;
+          rule.lastValue = check.value ?? null;
+          rule.lastEvaluatedAt = new Date(now).toISOString();
+          
+          if (!check.matched || wasMatched) continue;
+          const cooldownUntil = rule.lastTriggeredAt ? Date.parse(rule.lastTriggeredAt) + rule.cooldownMinutes * 60 * 1000 : 0;
+          if (now < cooldownUntil) {
+            console.log(`🔕 Alert "${rule.name}" matched during cooldown, not sent`);
+            continue;
+          }
+          
+          rule.lastTriggeredAt = new Date(now).toISOString();
+          triggered++;
+          console.log(`🔔 Alert "${rule.name}": ${rule.ticker} ${rule.metric}=${check.value}`);
+          this.deliver(rule, 'alert.triggered', {
+            ticker: rule.ticker,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.value,
+            value: check.value,
+            ...(check.previous !== undefined ? { previousValue: check.previous } : {}),
+            windowMinutes,
+            data: result
+          });
+        }
       }
+      
+      if (triggered > 0) console.log(`🔔 ${triggered} alert(s) triggered`);
+      await this.save();
+    } catch (error) {
+      console.error(`❌ Alert evaluation failed: ${error.message}`);
+    } finally {
+      this.evaluating = false;
+    }
+  }
+
+  // Queues a signed webhook POST and retries with exponential backoff.
+  // Resolves with the delivery log entry once it succeeds or gives up.
+  async deliver(rule, event, payload) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      event,
+      ticker: payload.ticker,
+      url: rule.webhookUrl,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
     };
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.maxLogEntries) {
+      this.deliveries.splice(0, this.deliveries.length - this.maxLogEntries);
+    }
+    
+    const body = JSON.stringify({
+      id: delivery.id,
+      event,
+      rule: { id: rule.id, name: rule.name },
+      triggeredAt: delivery.createdAt,
+      ...payload
+    });
+    
+    while (delivery.attempts < this.maxAttempts) {
+      if (delivery.attempts > 0) await delay(this.retryBaseMs * 2 ** (delivery.attempts - 1));
+      delivery.attempts++;
+      
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto.createHmac('sha256', rule.secret).update(`${timestamp}.${body}`).digest('hex');
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+      
+      try {
+        const response = await fetch(rule.webhookUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'HypeMeter-Webhook/1.0',
+            'X-HypeMeter-Event': event,
+            'X-HypeMeter-Delivery': delivery.id,
+            'X-HypeMeter-Timestamp': timestamp,
+            'X-HypeMeter-Signature': `sha256=${signature}`
+          },
+          body,
+          signal: controller.signal
+        });
+        delivery.responseStatus = response.status;
+        delivery.error = response.ok ? null : `HTTP ${response.status}`;
+        // Client errors other than 408/429 won't succeed on retry
+        if (response.ok || (response.status < 500 && ![408, 429].includes(response.status))) break;
+      } catch (error) {
+        delivery.responseStatus = null;
+        delivery.error = error.name === 'AbortError' ? 'Timed out' : error.message;
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+    
+    delivery.status = delivery.error ? 'failed' : 'delivered';
+    delivery.completedAt = new Date().toISOString();
+    if (delivery.error) {
+      console.error(`❌ Webhook for "${rule.name}" failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+    }
+    await this.save().catch(e => console.error(`❌ Failed to persist alerts: ${e.message}`));
+    return delivery;
   }
 }
 
 const collector = new BackgroundCollector();
+const apiKeys = new ApiKeyManager(collector.aiCalc.storage);
+const alerts = new AlertManager(collector.aiCalc.storage);
+
+collector.on('collection-finished', () => alerts.evaluate(collector));
+
+const MAX_TICKERS_PER_REQUEST = 50;
+
+// Render terminates TLS in front of us; trust one proxy hop so req.ip is the
+// real client address for per-IP rate limiting
+app.set('trust proxy', 1);
 
 app.use(cors({
   origin: [
@@ -1408,11 +4557,79 @@ app.use(cors({
     'http://localhost:3000'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-app.use(express.json());
+// Backup imports carry the whole dataset, so they get a bigger body limit,
+// parsed on the route itself only once the caller is authenticated
+const IMPORT_BODY_LIMIT = process.env.BACKUP_MAX_SIZE || '32mb';
+const jsonBody = express.json();
+app.use((req, res, next) => (req.path === '/api/admin/import' ? next() : jsonBody(req, res, next)));
+
+const readBearer = (req) => (req.get('Authorization') || '').replace(/^Bearer\s+/i, '').trim();
+
+function isAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || !token) return false;
+  const expected = Buffer.from(adminToken);
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Admin routes require `Authorization: Bearer <ADMIN_TOKEN>`; without a
+// configured token they are disabled entirely.
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin endpoints disabled (ADMIN_TOKEN not set)' });
+  }
+  if (!isAdminToken(readBearer(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Identifies the client for every /api route and enforces its quota. Sets
+// req.client = { id, type: 'admin' | 'key' | 'anonymous', quotas }.
+// ?api_key= is accepted too, since browser EventSource can't send headers.
+function apiAuth(req, res, next) {
+  const token = readBearer(req) || (typeof req.query.api_key === 'string' ? req.query.api_key.trim() : '');
+  
+  if (isAdminToken(token)) {
+    req.client = { id: 'admin', type: 'admin', quotas: { requestsPerMinute: Infinity, maxTickersPerCall: MAX_TICKERS_PER_REQUEST } };
+    return next();
+  }
+  
+  let key = null;
+  if (token) {
+    key = apiKeys.find(token);
+    if (!key) return res.status(401).json({ error: 'Invalid or revoked API key' });
+  } else if (apiKeys.requireKey) {
+    return res.status(401).json({ error: 'API key required (Authorization: Bearer <key>)' });
+  }
+  
+  req.client = key
+    ? { id: `key:${key.id}`, type: 'key', quotas: key.quotas }
+    : { id: `ip:${req.ip}`, type: 'anonymous', quotas: apiKeys.anonymousQuotas };
+  
+  const rate = apiKeys.consume(req.client.id, req.client.quotas.requestsPerMinute);
+  if (key) apiKeys.recordUsage(key, rate.allowed);
+  
+  res.set('X-RateLimit-Limit', String(rate.limit));
+  res.set('X-RateLimit-Remaining', String(rate.remaining));
+  res.set('X-RateLimit-Reset', String(Math.ceil(rate.resetAt / 1000)));
+  
+  if (!rate.allowed) {
+    res.set('Retry-After', String(Math.ceil((rate.resetAt - Date.now()) / 1000)));
+    return res.status(429).json({ error: 'Rate limit exceeded' });
+  }
+  
+  next();
+}
+
+// Admin routes authenticate separately
+app.use('/api', (req, res, next) => (req.path.startsWith('/admin/') ? next() : apiAuth(req, res, next)));
 
 app.get('/health', (req, res) => {
   res.json({ 
@@ -1421,82 +4638,255 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Resolves ?tickers= and ?watchlist= into a de-duplicated symbol list within
+// the client's quota, and starts tracking each symbol. Returns
+// { tickerList, refused } or { status, error } when the request is invalid.
+// Watchlist symbols don't count toward the per-call cap: a list is already
+// capped at MAX_WATCHLIST_SYMBOLS and its symbols are tracked anyway.
+function resolveTickerRequest(req) {
+  const { tickers, watchlist } = req.query;
+  if (!tickers && !watchlist) return { status: 400, error: 'Tickers or watchlist required' };
+  // Repeating a parameter (?tickers=A&tickers=B) makes it an array
+  if ((tickers && typeof tickers !== 'string') || (watchlist && typeof watchlist !== 'string')) {
+    return { status: 400, error: 'Pass tickers and watchlist once each (comma-separate tickers)' };
+  }
+
+  const extra = [...new Set((tickers ? tickers.split(',') : []).map(t => t.trim().toUpperCase()).filter(Boolean))];
+  let listSymbols = [];
+  if (watchlist) {
+    const list = collector.watchlists.get(watchlist.toLowerCase());
+    if (!list) return { status: 404, error: `Watchlist "${watchlist}" not found` };
+    listSymbols = list.symbols;
+  }
+
+  const adHoc = extra.filter(t => !listSymbols.includes(t));
+  const maxTickers = Math.min(MAX_TICKERS_PER_REQUEST, req.client.quotas.maxTickersPerCall);
+  if (adHoc.length > maxTickers) {
+    return { status: 400, error: `Too many tickers (max ${maxTickers})` };
+  }
+  const tickerList = [...new Set([...extra, ...listSymbols])];
+  
+  const refused = new Map();
+  for (const ticker of tickerList) {
+    const tracking = collector.addTicker(ticker);
+    if (!tracking.tracked) refused.set(ticker, tracking.reason);
+  }
+  
+  return { tickerList, refused };
+}
+
+// ?discount_suspicious=true|false, defaulting to BOT_DISCOUNT_SUSPICIOUS
+function readDiscountSuspicious(req) {
+  const value = req.query.discount_suspicious;
+  if (value === undefined) return collector.discountSuspicious;
+  return value === 'true' || value === '1';
+}
+
+// ?half_life= and ?news_half_life= (30m, 2h, ...) override the decay
+// half-lives used for scoring. Returns { halfLives } or { error }.
+function readHalfLives(req) {
+  const halfLives = { ...collector.aiCalc.halfLives };
+  for (const [param, key] of [['half_life', 'social'], ['news_half_life', 'news']]) {
+    if (req.query[param] === undefined) continue;
+    const ms = parseDuration(req.query[param]);
+    if (!(ms >= 60 * 1000 && ms <= 7 * 24 * HOUR_MS)) {
+      return { error: `${param} must be a duration from 1m to 7d, like 30m or 2h` };
+    }
+    halfLives[key] = ms;
+  }
+  return { halfLives };
+}
+
 // CHANGE 3: Updated API endpoint with percentile scoring
 app.get('/api/hype', async (req, res) => {
   try {
-    const { tickers, window = 60 } = req.query;
-    if (!tickers) return res.status(400).json({ error: 'Tickers required' });
-
-    const windowMinutes = parseInt(window);
-    const tickerList = tickers.split(',').map(t => t.trim().toUpperCase());
+    const request = resolveTickerRequest(req);
+    if (request.error) return res.status(request.status).json({ error: request.error });
+    const decay = readHalfLives(req);
+    if (decay.error) return res.status(400).json({ error: decay.error });
     
-    // First pass: collect all data
-    const allTickersData = new Map();
+    const windowMinutes = parseInt(req.query.window) || 60;
+    const results = await collector.getHypeResults(request.tickerList, windowMinutes, {
+      refused: request.refused,
+      discountSuspicious: readDiscountSuspicious(req),
+      explain: req.query.explain === 'true',
+      halfLives: decay.halfLives
+    });
+    res.json(results);
+  } catch (error) {
+    console.error('Hype error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const STREAM_MAX_PER_CLIENT = parseInt(process.env.STREAM_MAX_PER_CLIENT) || 5;
+const STREAM_HEARTBEAT_MS = (parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 25) * 1000;
+const openStreams = new Map(); // client id -> open connection count
+
+// Server-Sent Events: `status` events when a collection cycle starts and
+// finishes, then one `hype` event per subscribed ticker with its fresh score.
+// The current scores are sent once on connect.
+app.get('/api/stream', async (req, res) => {
+  try {
+    const request = resolveTickerRequest(req);
+    if (request.error) return res.status(request.status).json({ error: request.error });
+    const decay = readHalfLives(req);
+    if (decay.error) return res.status(400).json({ error: decay.error });
     
-    for (const ticker of tickerList) {
-      collector.addTicker(ticker);
-      const data = collector.getHypeData(ticker, windowMinutes);
-      
-      if (data.available) {
-        allTickersData.set(ticker, {
-          reddit: data.reddit_mentions,
-          stocktwits: data.stocktwits_mentions,
-          bluesky: data.bluesky_mentions,
-          news: data.news_count,
-          volume: data.priceData?.volume || 0,
-          priceChangePercent: data.priceChange?.changePercent || 0,
-          marketOpen: collector.aiCalc.isMarketOpen()
-        });
-      }
+    const clientId = req.client.id;
+    const open = openStreams.get(clientId) || 0;
+    if (open >= STREAM_MAX_PER_CLIENT) {
+      return res.status(429).json({ error: `Too many open streams (max ${STREAM_MAX_PER_CLIENT})` });
     }
+    openStreams.set(clientId, open + 1);
     
-    // Second pass: calculate scores with percentile context
-    const results = {};
+    const { tickerList, refused } = request;
+    const windowMinutes = parseInt(req.query.window) || 60;
+    const discountSuspicious = readDiscountSuspicious(req);
+    const explain = req.query.explain === 'true';
+    const { halfLives } = decay;
     
-    for (const ticker of tickerList) {
-      const data = allTickersData.get(ticker);
-      
-      if (!data) {
-        results[ticker] = {
-          symbol: ticker,
-          hypeScore: 0,
-          available: false,
-          message: 'Not yet tracked'
-        };
-        continue;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    let closed = false;
+    const send = (event, data) => {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    const sendScores = async () => {
+      try {
+        const results = await collector.getHypeResults(tickerList, windowMinutes, { refused, discountSuspicious, explain, halfLives });
+        for (const ticker of tickerList) send('hype', results[ticker]);
+      } catch (error) {
+        console.error('Stream error:', error);
+        send('error', { error: error.message });
       }
-      
-      const hypeResult = await collector.aiCalc.calculateHype(ticker, data, allTickersData);
-      const tickerData = collector.getHypeData(ticker, windowMinutes);
-      
-      results[ticker] = {
-        symbol: ticker,
-        hypeScore: hypeResult.hypeScore || 0,
-        rawScore: hypeResult.rawScore || 0,
-        confidence: hypeResult.confidence || 50,
-        mentions: data.reddit + data.stocktwits + data.bluesky + data.news,
-        reddit_mentions: data.reddit,
-        stocktwits_mentions: data.stocktwits,
-        bluesky_mentions: data.bluesky,
-        news_count: data.news,
-        price: tickerData.priceData?.price || null,
-        change: tickerData.priceChange?.change || null,
-        changePercent: data.priceChangePercent,
-        volume: data.volume || 0,
-        volumeSource: tickerData.priceData?.volumeSource || 'unknown',
-        name: ticker,
-        mode: hypeResult.mode || 'baseline',
-        reasoning: hypeResult.reasoning,
-        weights: hypeResult.weights,
-        recommendation: hypeResult.recommendation,
-        timestamp: new Date().toISOString()
-      };
-    }
+    };
     
-    res.json(results);
+    const onStarted = (info) => send('status', { state: 'collection-started', ...info });
+    const onFinished = async (info) => {
+      send('status', { state: 'collection-finished', ...info });
+      await sendScores();
+    };
+    
+    collector.on('collection-started', onStarted);
+    collector.on('collection-finished', onFinished);
+    const heartbeat = setInterval(() => !closed && res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      collector.off('collection-started', onStarted);
+      collector.off('collection-finished', onFinished);
+      const remaining = (openStreams.get(clientId) || 1) - 1;
+      if (remaining > 0) openStreams.set(clientId, remaining);
+      else openStreams.delete(clientId);
+    });
+    
+    send('status', {
+      state: collector.isCollecting ? 'collecting' : 'idle',
+      tickers: tickerList,
+      lastCollection: collector.lastCollectionTime?.toISOString() || null,
+      nextCollection: collector.nextCollectionTime?.toISOString() || null
+    });
+    await sendScores();
   } catch (error) {
-    console.error('Hype error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Stream error:', error);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+    else res.end();
+  }
+});
+
+// Symbols from a JSON body ({ symbols: [...] } or { symbol }) or ?symbols=A,B
+function readSymbols(req) {
+  if (Array.isArray(req.body?.symbols)) return req.body.symbols;
+  if (req.body?.symbol) return [req.body.symbol];
+  if (req.query.symbols) return req.query.symbols.split(',');
+  return [];
+}
+
+function sendWatchlistError(res, error) {
+  if (error instanceof WatchlistError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Watchlist error:', error);
+  res.status(500).json({ error: 'Watchlist update failed' });
+}
+
+app.get('/api/tickers', (req, res) => {
+  res.json({
+    total: collector.trackedTickers.size,
+    tracked: Array.from(collector.trackedTickers).sort(),
+    watchlists: Object.fromEntries(collector.watchlists.list().map(l => [l.name, l.symbols])),
+    dynamic: Array.from(collector.dynamicTickers.entries()).map(([symbol, info]) => ({
+      symbol,
+      addedAt: new Date(info.addedAt).toISOString(),
+      lastRequestedAt: new Date(info.lastRequestedAt).toISOString()
+    })),
+    discovered: Array.from(collector.discoveredTickers),
+    alert: Array.from(collector.alertTickers)
+  });
+});
+
+app.post('/api/tickers', requireAdmin, async (req, res) => {
+  try {
+    const symbols = readSymbols(req);
+    if (symbols.length === 0) return res.status(400).json({ error: 'symbols required' });
+    
+    const result = await collector.watchlists.addSymbols(DEFAULT_WATCHLIST, symbols, (s) => collector.checkSymbol(s));
+    res.json(result);
+  } catch (error) {
+    sendWatchlistError(res, error);
+  }
+});
+
+app.delete('/api/tickers/:symbol', requireAdmin, async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const result = await collector.watchlists.removeSymbols(DEFAULT_WATCHLIST, [symbol]);
+    const wasDynamic = collector.dynamicTickers.delete(symbol);
+    res.json({ ...result, removed: wasDynamic ? [...new Set([...result.removed, symbol])] : result.removed });
+  } catch (error) {
+    sendWatchlistError(res, error);
+  }
+});
+
+app.get('/api/watchlists', (req, res) => {
+  res.json({ watchlists: collector.watchlists.list() });
+});
+
+app.get('/api/watchlists/:name', (req, res) => {
+  const list = collector.watchlists.get(req.params.name.toLowerCase());
+  if (!list) return res.status(404).json({ error: `Watchlist "${req.params.name}" not found` });
+  res.json(list);
+});
+
+app.post('/api/watchlists/:name', requireAdmin, async (req, res) => {
+  try {
+    const result = await collector.watchlists.addSymbols(req.params.name, readSymbols(req), (s) => collector.checkSymbol(s));
+    res.json(result);
+  } catch (error) {
+    sendWatchlistError(res, error);
+  }
+});
+
+// With ?symbols= (or a symbols body) removes those symbols; otherwise deletes the list
+app.delete('/api/watchlists/:name', requireAdmin, async (req, res) => {
+  try {
+    const symbols = readSymbols(req);
+    if (symbols.length > 0) {
+      return res.json(await collector.watchlists.removeSymbols(req.params.name, symbols));
+    }
+    await collector.watchlists.deleteList(req.params.name);
+    res.json({ deleted: req.params.name.toLowerCase() });
+  } catch (error) {
+    sendWatchlistError(res, error);
   }
 });
 
@@ -1505,6 +4895,7 @@ app.get('/api/debug/:ticker', (req, res) => {
   const windowMinutes = parseInt(req.query.window) || 60;
   
   const mentionEvents = collector.aiCalc.mentionEvents.get(ticker) || [];
+  const mentionBuckets = collector.aiCalc.mentionBuckets.get(ticker) || { minute: {}, hour: {} };
   const priceHistory = collector.aiCalc.priceHistory.get(ticker) || [];
   const weights = collector.aiCalc.aiWeights.get(ticker) || null;
   
@@ -1522,6 +4913,11 @@ app.get('/api/debug/:ticker', (req, res) => {
     window: windowMinutes,
     mentionEvents: {
       total: mentionEvents.length,
+      rolledUp: {
+        minuteBuckets: Object.keys(mentionBuckets.minute).length,
+        hourBuckets: Object.keys(mentionBuckets.hour).length,
+        mentions: sumBuckets(mentionBuckets.minute, 0, Infinity) + sumBuckets(mentionBuckets.hour, 0, Infinity)
+      },
       inWindow: currentMentions,
       breakdown: {
         reddit: redditMentions,
@@ -1552,7 +4948,263 @@ app.get('/api/debug/:ticker', (req, res) => {
       mentions: currentMentions,
       priceChange: priceChange
     },
-    marketOpen: collector.aiCalc.isMarketOpen()
+    marketOpen: collector.aiCalc.isMarketOpen(),
+    marketSession: getMarketSession().session
+  });
+});
+
+const TIMESERIES_BUCKETS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+const MAX_TIMESERIES_POINTS = 2000;
+
+// Accepts epoch milliseconds or anything Date can parse (ISO 8601)
+function parseTimeParam(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const ms = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isNaN(ms) ? NaN : ms;
+}
+
+app.get('/api/timeseries/:ticker', (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const bucket = req.query.bucket || '5m';
+    const bucketMs = TIMESERIES_BUCKETS[bucket];
+    if (!bucketMs) {
+      return res.status(400).json({ error: `bucket must be one of ${Object.keys(TIMESERIES_BUCKETS).join(', ')}` });
+    }
+
+    const toMs = parseTimeParam(req.query.to, Date.now());
+    const fromMs = parseTimeParam(req.query.from, toMs - 24 * 60 * 60 * 1000);
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+      return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds' });
+    }
+    if (fromMs >= toMs) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const firstBucket = Math.floor(fromMs / bucketMs) * bucketMs;
+    const pointCount = Math.ceil((toMs - firstBucket) / bucketMs);
+    if (pointCount > MAX_TIMESERIES_POINTS) {
+      return res.status(400).json({ error: `Range too large: ${pointCount} buckets (max ${MAX_TIMESERIES_POINTS}). Use a larger bucket.` });
+    }
+
+    const sources = req.query.source
+      ? req.query.source.split(',').map(s => s.trim().toLowerCase())
+      : MENTION_SOURCES;
+    const unknown = sources.filter(s => !MENTION_SOURCES.includes(s));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown source: ${unknown.join(', ')}` });
+    }
+
+    const mentionSeries = collector.aiCalc.getMentionSeries(ticker, firstBucket, toMs, bucketMs, sources);
+
+    // Latest price/volume snapshot within each bucket
+    const priceSeries = new Map();
+    for (const snapshot of collector.aiCalc.priceHistory.get(ticker) || []) {
+      if (snapshot.timestamp < firstBucket || snapshot.timestamp >= toMs) continue;
+      const start = Math.floor(snapshot.timestamp / bucketMs) * bucketMs;
+      const existing = priceSeries.get(start);
+      if (!existing || snapshot.timestamp >= existing.timestamp) {
+        priceSeries.set(start, snapshot);
+      }
+    }
+
+    const points = [];
+    for (let start = firstBucket; start < toMs; start += bucketMs) {
+      const counts = mentionSeries.get(start) || {};
+      const mentions = Object.fromEntries(sources.map(s => [s, counts[s] || 0]));
+      const snapshot = priceSeries.get(start);
+
+      points.push({
+        time: new Date(start).toISOString(),
+        timestamp: start,
+        mentions,
+        total: Object.values(mentions).reduce((sum, n) => sum + n, 0),
+        price: snapshot ? snapshot.price : null,
+        volume: snapshot ? snapshot.volume : null
+      });
+    }
+
+    res.json({
+      ticker,
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      bucket,
+      sources,
+      resolution: collector.aiCalc.getSeriesResolution(fromMs),
+      points
+    });
+  } catch (error) {
+    console.error('Timeseries error:', error);
+    res.status(500).json({ error: 'Failed to build time series' });
+  }
+});
+
+const MAX_HISTORY_POINTS = 2000;
+
+// from/to (default: the last 24 hours) and an optional ?interval= (30m, 1h,
+// 1d) that keeps the last score of each interval. Returns the parsed range
+// or { error }.
+function readHistoryRange(req) {
+  const toMs = parseTimeParam(req.query.to, Date.now());
+  const fromMs = parseTimeParam(req.query.from, toMs - 24 * HOUR_MS);
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return { error: 'from/to must be ISO dates or epoch milliseconds' };
+  if (fromMs >= toMs) return { error: 'from must be before to' };
+  
+  const intervalMs = req.query.interval ? parseDuration(req.query.interval) : null;
+  if (req.query.interval && !(intervalMs > 0)) return { error: 'interval must look like 30m, 1h or 1d' };
+  return { fromMs, toMs, intervalMs };
+}
+
+function historyPoints(ticker, { fromMs, toMs, intervalMs }) {
+  return collector.scoreHistory.query(ticker, fromMs, toMs, intervalMs).slice(-MAX_HISTORY_POINTS).map(entry => ({
+    time: new Date(entry.timestamp).toISOString(),
+    ...entry
+  }));
+}
+
+// Recorded scores for one ticker, one point per snapshot (or per ?interval=).
+// At most the latest MAX_HISTORY_POINTS points are returned.
+app.get('/api/history/:ticker', (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const range = readHistoryRange(req);
+  if (range.error) return res.status(400).json({ error: range.error });
+  
+  res.json({
+    ticker,
+    from: new Date(range.fromMs).toISOString(),
+    to: new Date(range.toMs).toISOString(),
+    interval: req.query.interval || null,
+    points: historyPoints(ticker, range)
+  });
+});
+
+// Same, for several tickers at once (?tickers=NVDA,GME), for charting
+app.get('/api/history', (req, res) => {
+  if (!req.query.tickers) return res.status(400).json({ error: 'Tickers required' });
+  const tickers = [...new Set(req.query.tickers.split(',').map(t => t.trim().toUpperCase()).filter(Boolean))];
+  const maxTickers = Math.min(MAX_TICKERS_PER_REQUEST, req.client.quotas.maxTickersPerCall);
+  if (tickers.length > maxTickers) {
+    return res.status(400).json({ error: `Too many tickers (max ${maxTickers})` });
+  }
+  const range = readHistoryRange(req);
+  if (range.error) return res.status(400).json({ error: range.error });
+  
+  res.json({
+    tickers,
+    from: new Date(range.fromMs).toISOString(),
+    to: new Date(range.toMs).toISOString(),
+    interval: req.query.interval || null,
+    series: Object.fromEntries(tickers.map(ticker => [ticker, historyPoints(ticker, range)]))
+  });
+});
+
+// Replays stored history through the scoring logic and relates scores to
+// forward price/volume changes. ?horizon= takes 30m/4h/1d; ?step= and
+// ?window= (minutes) must be whole hours.
+app.get('/api/backtest', (req, res) => {
+  try {
+    if (!req.query.tickers) return res.status(400).json({ error: 'Tickers required' });
+    const tickers = [...new Set(req.query.tickers.split(',').map(t => t.trim().toUpperCase()).filter(Boolean))];
+    const maxTickers = Math.min(MAX_TICKERS_PER_REQUEST, req.client.quotas.maxTickersPerCall);
+    if (tickers.length > maxTickers) {
+      return res.status(400).json({ error: `Too many tickers (max ${maxTickers})` });
+    }
+
+    const horizon = req.query.horizon || '1d';
+    const step = req.query.step || '1h';
+    const horizonMs = parseDuration(horizon);
+    const stepMs = parseDuration(step);
+    const windowMinutes = parseInt(req.query.window) || 60;
+    const highScore = parseInt(req.query.threshold) || 70;
+    if (!(horizonMs > 0)) {
+      return res.status(400).json({ error: 'horizon must look like 30m, 4h or 1d' });
+    }
+    if (!(stepMs > 0) || stepMs % HOUR_MS !== 0) {
+      return res.status(400).json({ error: 'step must be a whole number of hours (e.g. 1h, 4h, 1d)' });
+    }
+    if (windowMinutes % 60 !== 0) {
+      return res.status(400).json({ error: 'window must be a whole number of hours, in minutes (60, 120, ...)' });
+    }
+
+    const toMs = parseTimeParam(req.query.to, Date.now());
+    const fromMs = parseTimeParam(req.query.from, toMs - 7 * 24 * HOUR_MS);
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+      return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds' });
+    }
+    if (fromMs >= toMs) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const summary = collector.backtester.run({ tickers, fromMs, toMs, horizonMs, stepMs, windowMs: windowMinutes * 60 * 1000, highScore });
+    res.json({
+      tickers,
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      horizon,
+      step,
+      windowMinutes,
+      scoring: 'base score + percentile + velocity (LLM analysis is not replayed; learned weights are current)',
+      ...summary
+    });
+  } catch (error) {
+    if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+    console.error('Backtest error:', error);
+    res.status(500).json({ error: 'Backtest failed' });
+  }
+});
+
+// Current spike readings for tracked tickers, strongest first. Only active
+// spikes unless ?all=true; ?tickers= limits the list.
+app.get('/api/spikes', (req, res) => {
+  const wanted = req.query.tickers
+    ? new Set(req.query.tickers.split(',').map(t => t.trim().toUpperCase()).filter(Boolean))
+    : null;
+  const all = req.query.all === 'true';
+  
+  let spikes = wanted
+    ? Array.from(wanted).filter(t => collector.aiCalc.hasMentionData(t)).map(t => ({ symbol: t, ...collector.spikes.get(t) }))
+    : collector.spikes.list();
+  if (!all) spikes = spikes.filter(s => s.spiking);
+  spikes.sort((a, b) => (b.zScore ?? -Infinity) - (a.zScore ?? -Infinity));
+  
+  res.json({
+    thresholds: {
+      zScore: collector.spikes.threshold,
+      endZScore: collector.spikes.endThreshold,
+      minMentions: collector.spikes.minMentions,
+      windowMinutes: collector.spikes.windowMs / 60000,
+      baselineWeeks: collector.spikes.baselineWeeks
+    },
+    lastCollection: collector.lastCollectionTime?.toISOString() || null,
+    spikes
+  });
+});
+
+app.get('/api/discovered', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const status = req.query.status;
+  
+  let candidates = collector.discovery.getReport(500);
+  if (status) {
+    candidates = candidates.filter(c => c.status === status);
+  }
+  
+  res.json({
+    promoted: Array.from(collector.discoveredTickers),
+    thresholds: {
+      windowHours: collector.discovery.windowMs / 3600000,
+      minMentions: collector.discovery.minMentions,
+      minTrendingMentions: collector.discovery.minTrendingMentions,
+      demoteBelow: collector.discovery.demoteBelow,
+      cooldownHours: collector.discovery.cooldownMs / 3600000,
+      maxPromoted: collector.discovery.maxPromoted
+    },
+    candidates: candidates.slice(0, limit)
   });
 });
 
@@ -1561,6 +5213,8 @@ app.get('/api/ai/insights', (req, res) => {
   const recentInsights = collector.aiCalc.aiInsights.slice(-limit).map(i => ({
     timestamp: new Date(i.timestamp).toISOString(),
     ticker: i.ticker,
+    provider: i.provider || 'anthropic',
+    model: i.model || null,
     score: i.analysis.hypeScore,
     confidence: i.analysis.confidence,
     reasoning: i.analysis.reasoning,
@@ -1576,6 +5230,144 @@ app.get('/api/ai/insights', (req, res) => {
   });
 });
 
+// Today's LLM token/cost usage against the budget, plus the analysis cache
+app.get('/api/ai/budget', (req, res) => {
+  res.json(collector.aiScheduler.getReport());
+});
+
+app.get('/api/admin/export', requireAdmin, (req, res) => {
+  try {
+    const archive = collector.aiCalc.exportArchive();
+    const date = archive.exportedAt.split('T')[0];
+    res.set('Content-Disposition', `attachment; filename="hypemeter-backup-${date}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+app.post('/api/admin/import', requireAdmin, express.json({ limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+  try {
+    const mode = req.query.mode || 'merge';
+    if (!['merge', 'replace'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+    }
+
+    const stats = await collector.aiCalc.importArchive(req.body, mode);
+    res.json({ imported: true, mode, stats });
+  } catch (error) {
+    if (error instanceof BackupFormatError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import error:', error);
+    res.status(500).json({ error: 'Import failed' });
+  }
+});
+
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  res.json({ keys: apiKeys.list() });
+});
+
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const created = await apiKeys.create(req.body || {});
+    console.log(`🔑 API key issued: ${created.name} (${created.id})`);
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+app.patch('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const updated = await apiKeys.update(req.params.id, req.body || {});
+    if (!updated) return res.status(404).json({ error: 'API key not found' });
+    res.json(updated);
+  } catch (error) {
+    console.error('API key error:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const revoked = await apiKeys.revoke(req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'API key not found' });
+    console.log(`🔑 API key revoked: ${revoked.name} (${revoked.id})`);
+    res.json(revoked);
+  } catch (error) {
+    console.error('API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+function sendAlertError(res, error) {
+  if (error instanceof AlertRuleError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Alert rule error:', error);
+  res.status(500).json({ error: 'Alert rule update failed' });
+}
+
+app.get('/api/admin/alerts', requireAdmin, (req, res) => {
+  res.json({ rules: alerts.list() });
+});
+
+app.post('/api/admin/alerts', requireAdmin, async (req, res) => {
+  try {
+    const created = await alerts.create(req.body || {});
+    alerts.trackTickers(collector);
+    console.log(`🔔 Alert rule created: ${created.name} (${created.id})`);
+    res.status(201).json(created);
+  } catch (error) {
+    sendAlertError(res, error);
+  }
+});
+
+app.get('/api/admin/alerts/deliveries', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, alerts.maxLogEntries);
+  res.json({ deliveries: alerts.listDeliveries({ ruleId: req.query.rule, status: req.query.status, limit }) });
+});
+
+app.get('/api/admin/alerts/:id', requireAdmin, (req, res) => {
+  const rule = alerts.rules.get(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Alert rule not found' });
+  res.json(alerts.describe(rule));
+});
+
+app.patch('/api/admin/alerts/:id', requireAdmin, async (req, res) => {
+  try {
+    const updated = await alerts.update(req.params.id, req.body || {});
+    if (!updated) return res.status(404).json({ error: 'Alert rule not found' });
+    alerts.trackTickers(collector);
+    res.json(updated);
+  } catch (error) {
+    sendAlertError(res, error);
+  }
+});
+
+app.delete('/api/admin/alerts/:id', requireAdmin, async (req, res) => {
+  try {
+    const removed = await alerts.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Alert rule not found' });
+    alerts.trackTickers(collector);
+    console.log(`🔔 Alert rule deleted: ${removed.name} (${removed.id})`);
+    res.json(removed);
+  } catch (error) {
+    sendAlertError(res, error);
+  }
+});
+
+// Sends a signed test payload to the rule's webhook and waits for the result
+app.post('/api/admin/alerts/:id/test', requireAdmin, async (req, res) => {
+  const rule = alerts.rules.get(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Alert rule not found' });
+  const delivery = await alerts.deliver(rule, 'alert.test', { ticker: rule.ticker, test: true });
+  res.status(delivery.status === 'delivered' ? 200 : 502).json(delivery);
+});
+
 app.get('/', (req, res) => {
   res.json({
     message: 'HypeMeter.ai v5.4.0 - Enhanced Multi-Source Collection',
@@ -1590,7 +5382,7 @@ app.get('/', (req, res) => {
       '🎯 Percentile-based scoring (no more 100/100 spam)',
       '📚 Historical backfill for AI training',
       '🤖 AI-powered dynamic weighting',
-      '🧠 Claude API for deep intelligence'
+      '🧠 Pluggable LLM analysis (Anthropic, OpenAI-compatible, stub)'
     ],
     architecture: {
       collection: 'Background only, every 5 min, parallel',
@@ -1599,9 +5391,25 @@ app.get('/', (req, res) => {
     },
     endpoints: {
       health: '/health',
-      hype: '/api/hype?tickers=NVDA,AAPL&window=60',
+      hype: '/api/hype?tickers=NVDA,AAPL&window=60&half_life=1h&news_half_life=6h&discount_suspicious=false&explain=false',
+      hype_watchlist: '/api/hype?watchlist=default',
+      stream: '/api/stream?tickers=NVDA,AAPL&window=60 (Server-Sent Events)',
+      tickers: 'GET /api/tickers, POST /api/tickers (admin), DELETE /api/tickers/:symbol (admin)',
+      watchlists: 'GET /api/watchlists[/:name], POST /api/watchlists/:name (admin), DELETE /api/watchlists/:name[?symbols=] (admin)',
       debug: '/api/debug/NVDA?window=60',
-      ai_insights: '/api/ai/insights?limit=10'
+      timeseries: '/api/timeseries/NVDA?from=2024-01-01T00:00:00Z&to=2024-01-02T00:00:00Z&bucket=1h&source=reddit,stocktwits',
+      history: '/api/history/NVDA?from=2024-01-01T00:00:00Z&to=2024-01-02T00:00:00Z&interval=1h',
+      history_multi: '/api/history?tickers=NVDA,GME&interval=1h',
+      discovered: '/api/discovered?status=promoted',
+      spikes: '/api/spikes?all=false&tickers=NVDA,GME',
+      backtest: '/api/backtest?tickers=NVDA,GME,AMD&from=2024-01-01T00:00:00Z&to=2024-01-08T00:00:00Z&horizon=1d&step=1h',
+      ai_insights: '/api/ai/insights?limit=10',
+      ai_budget: '/api/ai/budget',
+      admin_export: 'GET /api/admin/export (admin)',
+      admin_import: 'POST /api/admin/import?mode=merge|replace (admin)',
+      admin_keys: 'GET/POST /api/admin/keys, PATCH/DELETE /api/admin/keys/:id (admin)',
+      admin_alerts: 'GET/POST /api/admin/alerts, GET/PATCH/DELETE /api/admin/alerts/:id, POST /api/admin/alerts/:id/test (admin)',
+      admin_alert_deliveries: 'GET /api/admin/alerts/deliveries?rule=&status=delivered|failed|pending&limit=50 (admin)'
     }
   });
 });
@@ -1629,7 +5437,9 @@ if (process.env.NODE_ENV === 'production') {
 
 process.on('SIGTERM', async () => {
   console.log('\n💾 Saving AI data before shutdown...');
-  await collector.aiCalc.persistData();
+  await collector.persistAll();
+  await apiKeys.save();
+  await alerts.save();
   console.log('✅ Shutdown complete\n');
   process.exit(0);
 });
@@ -1645,7 +5455,7 @@ app.listen(PORT, async () => {
   console.log(`   Finnhub API: ${process.env.FINNHUB_API_KEY ? '✓' : '✗'}`);
   console.log(`   Reddit OAuth: ${process.env.REDDIT_CLIENT_ID ? '✓' : '✗'}`);
   console.log(`   Bluesky Auth: ${process.env.BLUESKY_USERNAME ? '✓' : '✗'}`);
-  console.log(`   Claude AI: ${process.env.ANTHROPIC_API_KEY ? '✓ Enabled' : '✗ Disabled'}`);
+  console.log(`   LLM analysis: ${collector.aiCalc.llm.available ? `✓ ${collector.aiCalc.llm.provider} (${collector.aiCalc.llm.model})` : '✗ Disabled'}`);
   console.log(`\n🆕 v5.4.0 Features:`);
   console.log(`   📊 70 Reddit subreddits (vs 19)`);
   console.log(`   💾 Multi-strategy volume collection (4-tier fallback)`);
@@ -1654,7 +5464,11 @@ app.listen(PORT, async () => {
   console.log(`   📚 Historical backfill for AI training`);
   console.log(`\n${'='.repeat(80)}\n`);
   
+  await apiKeys.load();
+  await alerts.load();
   const hasData = await collector.init();
+  alerts.trackTickers(collector);
+  setInterval(() => apiKeys.save().catch(e => console.error(`❌ Failed to persist API keys: ${e.message}`)), 10 * 60 * 1000);
   
   if (!hasData) {
     console.log('📖 No existing data - running historical backfill...\n');
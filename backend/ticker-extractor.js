@@ -0,0 +1,163 @@
+// Ticker mention extraction shared by every text-based collector
+// One pass per text: each occurrence is counted once, whether it appears as a
+// cashtag ($NVDA), a bare symbol (NVDA) or a company name (Nvidia).
+
+// Symbols that are also ordinary words or slang. A bare mention only counts
+// for these when the surrounding text is clearly about trading.
+const AMBIGUOUS_SYMBOLS = new Set([
+  'A', 'AI', 'ALL', 'AM', 'AN', 'ARE', 'AT', 'BB', 'BE', 'BIG', 'BY', 'CAN', 'CAR',
+  'CEO', 'COIN', 'DD', 'EDIT', 'EV', 'EVER', 'FOR', 'FUN', 'GO', 'GOOD', 'HAS',
+  'HOOD', 'I', 'IMO', 'IT', 'LOVE', 'META', 'NEW', 'NOK', 'NOW', 'ON', 'ONE',
+  'OPEN', 'OR', 'OUT', 'PLAY', 'REAL', 'RUN', 'SEE', 'SNAP', 'SO', 'SPY', 'TV',
+  'UK', 'US', 'USA', 'WELL', 'YOLO'
+]);
+
+// Company names and common nicknames, matched case-insensitively
+const TICKER_ALIASES = {
+  AAPL: ['apple'],
+  MSFT: ['microsoft'],
+  GOOGL: ['google', 'alphabet'],
+  AMZN: ['amazon'],
+  TSLA: ['tesla'],
+  NVDA: ['nvidia'],
+  META: ['meta platforms', 'facebook'],
+  AMD: ['advanced micro devices'],
+  GME: ['gamestop'],
+  AMC: ['amc entertainment'],
+  SPY: ['s&p 500', 'sp500'],
+  QQQ: ['nasdaq 100', 'nasdaq-100'],
+  COIN: ['coinbase'],
+  NFLX: ['netflix'],
+  PLTR: ['palantir'],
+  MSTR: ['microstrategy'],
+  SOFI: ['sofi'],
+  HOOD: ['robinhood'],
+  SNAP: ['snapchat'],
+  RIVN: ['rivian'],
+  LCID: ['lucid motors', 'lucid group'],
+  BB: ['blackberry'],
+  NOK: ['nokia'],
+  BBBY: ['bed bath']
+};
+
+// Aliases that are also everyday words ("ordered it from amazon"). Like
+// ambiguous symbols, they only count in trading context.
+const AMBIGUOUS_ALIASES = new Set([
+  'apple', 'amazon', 'google', 'facebook', 'tesla', 'netflix', 'blackberry', 'robinhood'
+]);
+
+const TRADING_CONTEXT = /\b(stock|stocks|shares|calls|puts|options|ticker|earnings|price target|bought|sold|buy|sell|long|short|position|bagholder|squeeze|dip|rally)\b/i;
+
+// Per-occurrence confidence that the text is about the ticker
+const CONFIDENCE = {
+  cashtag: 0.95,
+  symbol: 0.7,
+  alias: 0.8,
+  ambiguousInContext: 0.5,
+  ambiguous: 0.15
+};
+
+const MIN_CONFIDENCE = parseFloat(process.env.TICKER_MIN_CONFIDENCE) || 0.5;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const patternCache = new Map();
+
+function getPattern(ticker) {
+  if (!patternCache.has(ticker)) {
+    const symbol = escapeRegExp(ticker);
+    const aliases = (TICKER_ALIASES[ticker] || []).map(escapeRegExp);
+    // Order matters: a cashtag consumes its symbol so "$NOK" is one match, and
+    // aliases go before the bare symbol so "sofi" can match the SOFI alias
+    // instead of being rejected as a lowercase symbol
+    const aliasPart = aliases.length > 0 ? `\\b(?:${aliases.join('|')})\\b` : '(?!)';
+    const parts = [`\\$${symbol}\\b`, aliasPart, `\\b${symbol}\\b`];
+    patternCache.set(ticker, new RegExp(parts.map(p => `(${p})`).join('|'), 'gi'));
+  }
+  const pattern = patternCache.get(ticker);
+  pattern.lastIndex = 0;
+  return pattern;
+}
+
+// Scan text for one ticker. Returns null when there is no match, otherwise
+// { count, confidence, matchedBy }. Confidence combines occurrences as
+// independent evidence, so several hits can add up but never reach 1. Bare
+// hits on an ambiguous symbol, and ambiguous aliases outside trading context,
+// only count once, at their strongest, so repeating a common word never
+// makes it a mention.
+function extractTickerMention(text, ticker) {
+  if (!text) return null;
+
+  const ambiguous = AMBIGUOUS_SYMBOLS.has(ticker);
+  const inContext = TRADING_CONTEXT.test(text);
+  const pattern = getPattern(ticker);
+  const matchedBy = new Set();
+  let count = 0;
+  let doubt = 1;
+  let ambiguousBest = 0;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    let confidence;
+    if (match[1]) {
+      confidence = CONFIDENCE.cashtag;
+      matchedBy.add('cashtag');
+    } else if (match[2]) {
+      matchedBy.add('alias');
+      if (AMBIGUOUS_ALIASES.has(match[2].toLowerCase()) && !inContext) {
+        ambiguousBest = Math.max(ambiguousBest, CONFIDENCE.ambiguous);
+        count++;
+        continue;
+      }
+      confidence = CONFIDENCE.alias;
+    } else {
+      // Bare symbols must be written in capitals; "on" or "it" is just a word
+      if (match[3] !== ticker) continue;
+      matchedBy.add('symbol');
+      if (ambiguous) {
+        ambiguousBest = Math.max(ambiguousBest, inContext ? CONFIDENCE.ambiguousInContext : CONFIDENCE.ambiguous);
+        count++;
+        continue;
+      }
+      confidence = CONFIDENCE.symbol;
+    }
+
+    count++;
+    doubt *= 1 - confidence;
+  }
+
+  if (count === 0) return null;
+  doubt *= 1 - ambiguousBest;
+
+  return {
+    count,
+    confidence: Math.round(Math.min(1 - doubt, 0.99) * 100) / 100,
+    matchedBy: Array.from(matchedBy)
+  };
+}
+
+// Same as extractTickerMention, but null unless confident enough to count
+function findTickerMention(text, ticker, minConfidence = MIN_CONFIDENCE) {
+  const mention = extractTickerMention(text, ticker);
+  return mention && mention.confidence >= minConfidence ? mention : null;
+}
+
+// All cashtags in a text ($GME, $brk.b), uppercased and de-duplicated.
+// Dollar amounts like $100 or $5k are not cashtags.
+function extractCashtags(text) {
+  if (!text) return [];
+  const symbols = new Set();
+  for (const match of text.matchAll(/\$([A-Za-z]{1,5}(?:\.[A-Za-z])?)\b/g)) {
+    symbols.add(match[1].toUpperCase());
+  }
+  return Array.from(symbols);
+}
+
+module.exports = {
+  AMBIGUOUS_SYMBOLS,
+  AMBIGUOUS_ALIASES,
+  TICKER_ALIASES,
+  extractTickerMention,
+  findTickerMention,
+  extractCashtags
+};